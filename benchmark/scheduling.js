@@ -0,0 +1,129 @@
+import { resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import parsec from "../src/parsec/index.js";
+import nebula from "../src/nebula/index.js";
+
+/**
+ * Measures how quickly `run` moves from one requestor to the next.
+ * 
+ * Usage: `node benchmark/scheduling.js [size] [baseline]`
+ * 
+ * Each case builds one composition of `size` requestors (10,000 by default), 
+ * runs it a few times, and reports the best time and the number of 
+ * requestors completed per second.
+ * 
+ *  - deep sequence (sync): a `sequence` of synchronous `nebula.map` steps.
+ *  - deep sequence (async): a `sequence` of steps which each complete in a 
+ * later turn of the event loop.
+ *  - wide parallel (sync): a `parallel` of synchronous requestors.
+ *  - wide parallel (async): a `parallel` of requestors which each complete in 
+ * a later turn of the event loop.
+ *  - throttled parallel (sync): a `parallel` of synchronous requestors with a 
+ * throttle of 10.
+ * 
+ * `baseline` is the directory of another checkout of this repository, such as 
+ * one made with `git worktree add ../parsec-before <commit>`. When it is 
+ * given, every case is also run against that checkout, and the two times are 
+ * reported side by side. The results are recorded in `benchmark/RESULTS.md`.
+ */
+
+const size = Number(process.argv[2]) || 10000;
+const baseline = process.argv[3];
+const repetitions = 3;
+
+/**
+ * Creates the cases for one copy of parsec and nebula.
+ * @param {Object} parsec
+ * @param {Object} nebula
+ * @returns {Array} `[name, createRequestor]` pairs.
+ */
+function createCases(parsec, nebula) {
+    const increment = nebula.map(number => number + 1);
+
+    function asyncIncrement(receiver, message) {
+        setImmediate(() => receiver({ value: message + 1 }));
+    }
+
+    function repeat(requestor) {
+        return new Array(size).fill(requestor);
+    }
+
+    return [
+        ["deep sequence (sync)", () => parsec.sequence(repeat(increment))],
+        [
+            "deep sequence (async)", 
+            () => parsec.sequence(repeat(asyncIncrement))
+        ],
+        ["wide parallel (sync)", () => parsec.parallel(repeat(increment))],
+        [
+            "wide parallel (async)", 
+            () => parsec.parallel(repeat(asyncIncrement))
+        ],
+        [
+            "throttled parallel (sync)", 
+            () => parsec.parallel(repeat(increment), { throttle: 10 })
+        ]
+    ];
+}
+
+/**
+ * Runs the requestor a few times and returns the best time in milliseconds.
+ * @param {Object} parsec
+ * @param {Function} requestor
+ * @returns {Promise<Number>}
+ */
+async function measure(parsec, requestor) {
+    let best = Infinity;
+
+    for (let repetition = 0; repetition < repetitions; repetition++) {
+        const start = performance.now();
+        await parsec.toPromise(requestor, 0);
+        best = Math.min(best, performance.now() - start);
+    }
+
+    return best;
+}
+
+function formatTime(milliseconds) {
+    return `${milliseconds.toFixed(1).padStart(10)} ms`;
+}
+
+function formatRate(milliseconds) {
+    const perSecond = Math.round(size / (milliseconds / 1000));
+    return `${perSecond.toLocaleString("en-US").padStart(14)} requestors/s`;
+}
+
+const cases = createCases(parsec, nebula);
+
+if (!baseline) {
+    for (const [name, createRequestor] of cases) {
+        const best = await measure(parsec, createRequestor());
+        console.log(
+            `${name.padEnd(28)} ${formatTime(best)} ${formatRate(best)}`
+        );
+    }
+}
+else {
+    const importFrom = path => 
+        import(pathToFileURL(resolve(baseline, path)).href);
+    const { default: baselineParsec } = await importFrom("src/parsec/index.js");
+    const { default: baselineNebula } = await importFrom("src/nebula/index.js");
+    const baselineCases = createCases(baselineParsec, baselineNebula);
+
+    console.log(
+        `${"".padEnd(28)} ${"baseline".padStart(13)} ` + 
+        `${"current".padStart(13)} ${"speedup".padStart(9)}`
+    );
+    for (let index = 0; index < cases.length; index++) {
+        const [name, createRequestor] = cases[index];
+        const before = await measure(
+            baselineParsec, 
+            baselineCases[index][1]()
+        );
+        const after = await measure(parsec, createRequestor());
+        console.log(
+            `${name.padEnd(28)} ${formatTime(before)} ${formatTime(after)} ` + 
+            `${(before / after).toFixed(1).padStart(8)}x`
+        );
+    }
+}
@@ -19,9 +19,9 @@ import {
  * passed to the receiver as a reason.
  * @param {Function} mapper Determines how the message is transformed. The 
  * function should take on argument (the message) and returns a new message.
- * The requestor itself is fully synchronous. However, parsec currently 
- * processes each step in `sequence` asynchronously. Once tail call recursion is 
- * properly implemented in JavaScript engines, this may change.
+ * The requestor itself is fully synchronous. When it is a step in `sequence`, 
+ * the next step starts right after it without waiting for the event queue, so 
+ * long chains of `map` steps are cheap.
  * @returns {Function} The requestor.
  */
 function map(mapper) {
@@ -0,0 +1,285 @@
+import { FactoryName } from "../lib/constants.js";
+import {
+    exists,
+    isFunction,
+    checkRequestors,
+    checkReceiver,
+    onAbort
+} from "../lib/utils.js";
+import { ParsecCancelError, ParsecValidationError } from "../lib/errors.js";
+import { now } from "../lib/scheduler.js";
+import { captureSite, checkContract } from "../lib/strict.js";
+
+/**
+ * Creates a requestor which remembers the results of a requestor, and shares
+ * one request among calls which are made while it is in progress.
+ *
+ * @example
+ * ```
+ * import parsec from "./parsec";
+ *
+ * const getConfig = parsec.cache(configRequestor, {
+ *     key: ({ name }) => name,
+ *
+ *     // a config can be a minute old
+ *     ttl: 60000,
+ *     maxEntries: 100
+ * });
+ *
+ * // only one request is made for "db"
+ * const getConfigs = parsec.parallel([
+ *     (receiver) => getConfig(receiver, { name: "db" }),
+ *     (receiver) => getConfig(receiver, { name: "db" })
+ * ]);
+ * ```
+ *
+ * Each call is identified by the key `spec.key` returns for its message. If a
+ * result for the key is cached, the receiver is given it immediately. If a
+ * request for the key is in progress, the call waits for that request instead
+ * of making another. Otherwise, a request is made with the call's message,
+ * and every call which joins it receives its result.
+ *
+ * Values are cached until they are `ttl` milliseconds old. Failures are not
+ * cached unless `cacheFailures` is true. If more than `maxEntries` results
+ * are cached, the least recently used result is forgotten.
+ *
+ * Cancelling a call only stops that call from receiving the result. The
+ * shared request is cancelled once every call waiting for it is cancelled.
+ * The requestor is given its own signal, which is aborted at the same time,
+ * instead of the signal of any one call.
+ *
+ * The returned requestor has the following additional properties:
+ *
+ *  - `size`: The number of cached results, including any which have expired
+ * but were not looked at since.
+ *  - `clear()`: Forgets every cached result. Requests which are in progress
+ * are still shared, and their results are cached when they finish.
+ *
+ * @param {Function} requestor The requestor whose results are cached.
+ * @param {Object} spec Configures cache.
+ * @param {Function} spec.key Optional. Takes a message and returns the key its
+ * result is cached under. Keys are compared like the keys of a `Map`. Defaults
+ * to returning the message itself.
+ * @param {Number} spec.ttl Optional. The number of milliseconds a result is
+ * cached for. Defaults to Infinity.
+ * @param {Number} spec.maxEntries Optional. The most results which are cached
+ * at once. Defaults to Infinity.
+ * @param {Boolean} spec.cacheFailures Optional. If true, failures are cached
+ * like values. Defaults to false.
+ * @returns {Function} A requestor.
+ */
+export function cache(requestor, spec = {}) {
+    const {
+        key = message => message,
+        ttl = Infinity,
+        maxEntries = Infinity,
+        cacheFailures = false
+    } = spec;
+
+    const factoryName = FactoryName.CACHE;
+
+    checkRequestors([requestor], factoryName);
+
+    if (!isFunction(key))
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "key must be a function!",
+            evidence: key
+        });
+
+    if (typeof ttl !== "number" || !(ttl > 0))
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "ttl must be a positive number!",
+            evidence: ttl
+        });
+
+    if (
+        maxEntries !== Infinity
+        && (!Number.isSafeInteger(maxEntries) || maxEntries < 1)
+    )
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "maxEntries must be a positive, safe integer!",
+            evidence: maxEntries
+        });
+
+    if (typeof cacheFailures !== "boolean")
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "cacheFailures must be a boolean!",
+            evidence: cacheFailures
+        });
+
+    const site = captureSite();
+
+    // Maps keys to `{ result, expiresAt }`. A `Map` iterates in insertion
+    // order, so entries are moved to the end when used, and the first entry
+    // is the least recently used.
+    const entries = new Map();
+
+    // Maps keys to the requests in progress.
+    const flights = new Map();
+
+    /**
+     * Returns the cached result for a key, or undefined if there is none.
+     * @param {any} cacheKey
+     * @returns {Object|undefined}
+     */
+    function lookUp(cacheKey) {
+        const entry = entries.get(cacheKey);
+        if (!exists(entry)) return;
+
+        entries.delete(cacheKey);
+        if (now() >= entry.expiresAt) return;
+
+        entries.set(cacheKey, entry);
+        return entry.result;
+    }
+
+    /**
+     * Caches a result, forgetting the least recently used results if there
+     * are too many.
+     * @param {any} cacheKey
+     * @param {Object} result
+     */
+    function store(cacheKey, result) {
+        entries.delete(cacheKey);
+        entries.set(cacheKey, { result, expiresAt: now() + ttl });
+
+        while (entries.size > maxEntries)
+            entries.delete(entries.keys().next().value);
+    }
+
+    /**
+     * Creates a request which calls can share. The request is made when its
+     * `start` method is called, so the first call can join it beforehand in
+     * case the requestor calls back immediately.
+     * @param {any} cacheKey
+     * @param {any} message
+     * @returns {Object} The flight. Its `receivers` set holds the receivers
+     * of the calls waiting for it.
+     */
+    function createFlight(cacheKey, message) {
+        const controller = new AbortController();
+        let cancellor;
+
+        function settle({ value, reason }) {
+            if (flights.get(cacheKey) !== flight) return;
+            flights.delete(cacheKey);
+
+            const result = { value, reason };
+            if (exists(value) || cacheFailures) store(cacheKey, result);
+
+            // One receiver throwing should not keep the others from their 
+            // result, so the first exception is thrown once they all have it.
+            let exception;
+            flight.receivers.forEach(receiver => {
+                try {
+                    receiver(result);
+                }
+                catch(error) {
+                    if (!exists(exception)) exception = { error };
+                }
+            });
+            if (exists(exception)) throw exception.error;
+        }
+
+        const flight = {
+            receivers: new Set(),
+            start() {
+                try {
+                    cancellor = checkContract(
+                        requestor, 
+                        factoryName, 
+                        undefined, 
+                        site
+                    )(settle, message, controller.signal);
+                }
+                catch(reason) {
+                    settle({ reason });
+                }
+            },
+            cancel(reason) {
+                if (flights.get(cacheKey) !== flight) return;
+                flights.delete(cacheKey);
+
+                try {
+                    if (isFunction(cancellor)) cancellor(reason);
+                }
+                catch(exception) {/* ignore errors */}
+                finally {
+                    controller.abort(reason);
+                }
+            }
+        };
+
+        flights.set(cacheKey, flight);
+        return flight;
+    }
+
+    function cachedRequestor(receiver, message, callSignal) {
+        checkReceiver(receiver, factoryName);
+
+        let cacheKey;
+        try {
+            cacheKey = key(message);
+        }
+        catch(reason) {
+            receiver({ reason });
+            return;
+        }
+
+        const result = lookUp(cacheKey);
+        if (exists(result)) {
+            receiver(result);
+            return;
+        }
+
+        let flight = flights.get(cacheKey);
+        const isNewFlight = !exists(flight);
+        if (isNewFlight) flight = createFlight(cacheKey, message);
+
+        let removeAbortListeners;
+
+        function subscriber(result) {
+            if (exists(removeAbortListeners)) removeAbortListeners();
+            receiver(result);
+        }
+
+        function cancel(reason) {
+            if (!flight.receivers.delete(subscriber)) return;
+            if (exists(removeAbortListeners)) removeAbortListeners();
+
+            if (flight.receivers.size === 0)
+                flight.cancel(new ParsecCancelError({
+                    factoryName,
+                    excuse: "Every call waiting for the request was " +
+                            "cancelled!",
+                    evidence: cacheKey,
+                    cause: reason
+                }));
+        }
+
+        flight.receivers.add(subscriber);
+        removeAbortListeners = onAbort([callSignal], cancel);
+        if (!flight.receivers.has(subscriber)) return;
+
+        if (isNewFlight) flight.start();
+
+        return cancel;
+    }
+
+    return Object.freeze(Object.defineProperties(cachedRequestor, {
+        size: {
+            get() {
+                return entries.size;
+            }
+        },
+        clear: {
+            value() {
+                entries.clear();
+            }
+        }
+    }));
+}
@@ -0,0 +1,299 @@
+import { FactoryName, CircuitState } from "../lib/constants.js";
+import {
+    exists,
+    isFunction,
+    checkRequestors,
+    checkReceiver,
+    onAbort
+} from "../lib/utils.js";
+import {
+    ParsecCircuitOpenError,
+    ParsecValidationError
+} from "../lib/errors.js";
+import { setTimer, clearTimer, now } from "../lib/scheduler.js";
+import { captureSite, checkContract } from "../lib/strict.js";
+
+/**
+ * Creates a requestor which stops making requests after repeated failures.
+ * 
+ * @example
+ * ```
+ * import parsec from "./parsec";
+ * 
+ * const getCheese = parsec.circuitBreaker(cheeseRequestor, {
+ *     failureThreshold: 3,
+ *     resetTimeout: 30000
+ * });
+ * 
+ * getCheese.onStateChange(({ state, previousState }) => {
+ *     if (state === parsec.CircuitState.OPEN)
+ *         alertOnCall("The cheese service is down!");
+ * });
+ * 
+ * // the backup is used immediately while the circuit is open
+ * const getSomeCheese = parsec.fallback([getCheese, getCachedCheese]);
+ * ```
+ * 
+ * The circuit starts closed, and requests are made normally. Once
+ * `failureThreshold` requests fail in a row, the circuit opens. While it is
+ * open, the requestor fails immediately with a `ParsecCircuitOpenError`
+ * instead of making the request. Once `resetTimeout` milliseconds have passed,
+ * the circuit becomes half open on its own, and listeners are told: up to 
+ * `halfOpenMax` trial requests may be in progress at once, and any others 
+ * fail immediately. If a trial succeeds, the circuit closes. If a trial fails, 
+ * the circuit opens again. See the documentation for the `CircuitState` 
+ * object.
+ * 
+ * The state is shared by every call to the returned requestor. Cancelled
+ * requests count as neither success nor failure. Only trials decide whether a 
+ * half open circuit closes, so a request which started while the circuit was 
+ * closed, and settles after it has opened, is not counted.
+ * 
+ * The returned requestor has the following additional properties:
+ * 
+ *  - `state`: The current `CircuitState`.
+ *  - `onStateChange(listener)`: Adds a listener which is called with a
+ * `{ state, previousState, reason }` object whenever the state changes.
+ * `reason` is the failure which opened the circuit, if there was one. Returns
+ * a function which removes the listener.
+ *  - `reset()`: Closes the circuit and forgets any failures.
+ * 
+ * @param {Function} requestor The requestor to protect.
+ * @param {Object} spec Configures circuitBreaker.
+ * @param {Number} spec.failureThreshold The number of consecutive failures
+ * which opens the circuit. Defaults to 5.
+ * @param {Number} spec.resetTimeout The number of milliseconds the circuit
+ * stays open before trial requests are allowed. Defaults to 10000.
+ * @param {Number} spec.halfOpenMax The number of trial requests which may be in
+ * progress at once while the circuit is half open. Defaults to 1.
+ * @returns {Function} A requestor.
+ */
+export function circuitBreaker(requestor, spec = {}) {
+    const {
+        failureThreshold = 5,
+        resetTimeout = 10000,
+        halfOpenMax = 1
+    } = spec;
+
+    const factoryName = FactoryName.CIRCUIT_BREAKER;
+
+    checkRequestors([requestor], factoryName);
+
+    [failureThreshold, halfOpenMax].forEach(count => {
+        if (!Number.isSafeInteger(count) || count < 1)
+            throw new ParsecValidationError({
+                factoryName,
+                excuse: "failureThreshold and halfOpenMax must be positive, " +
+                        "safe integers!",
+                evidence: count
+            });
+    });
+
+    if (typeof resetTimeout !== "number" || Number.isNaN(resetTimeout)
+        || resetTimeout < 0)
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "resetTimeout must be a nonnegative number!",
+            evidence: resetTimeout
+        });
+
+    const site = captureSite();
+
+    let state = CircuitState.CLOSED;
+    let consecutiveFailures = 0;
+    let openedAt;
+    let resetTimerId;
+    let trialsInProgress = 0;
+
+    // Incremented whenever the circuit becomes half open, so trials left over 
+    // from an earlier half open period are not counted against this one.
+    let halfOpenPeriod = 0;
+
+    const listeners = new Set();
+
+    /**
+     * Changes the state and notifies listeners.
+     * @param {String} newState
+     * @param {Reason} reason Optional. The failure which caused the change.
+     */
+    function setState(newState, reason) {
+        if (newState === state) return;
+
+        const previousState = state;
+        state = newState;
+
+        if (exists(resetTimerId)) {
+            clearTimer(resetTimerId);
+            resetTimerId = undefined;
+        }
+        if (state === CircuitState.OPEN) {
+            openedAt = now();
+            resetTimerId = setTimer(() => {
+                resetTimerId = undefined;
+                setState(CircuitState.HALF_OPEN);
+            }, resetTimeout);
+        }
+        if (state === CircuitState.HALF_OPEN) {
+            halfOpenPeriod++;
+            trialsInProgress = 0;
+        }
+        if (state === CircuitState.CLOSED) consecutiveFailures = 0;
+
+        const event = Object.freeze({ state, previousState, reason });
+        listeners.forEach(listener => {
+            try {
+                listener(event);
+            }
+            catch(exception) {/* ignore errors */}
+        });
+    }
+
+    /**
+     * An open circuit becomes half open once the reset timeout has passed.
+     * A timer makes the transition, but timers can run late, so anyone who 
+     * looks at the circuit after the timeout makes it too.
+     */
+    function checkResetTimeout() {
+        if (
+            state === CircuitState.OPEN
+            && now() - openedAt >= resetTimeout
+        )
+            setState(CircuitState.HALF_OPEN);
+    }
+
+    /**
+     * Returns true if a call which started in the given half open period is 
+     * a trial of the current one. Calls which started while the circuit was 
+     * closed have no period.
+     * @param {Number} trialPeriod
+     * @returns {Boolean}
+     */
+    function isTrial(trialPeriod) {
+        return state === CircuitState.HALF_OPEN 
+               && trialPeriod === halfOpenPeriod;
+    }
+
+    function recordSuccess(trialPeriod) {
+        if (isTrial(trialPeriod)) return setState(CircuitState.CLOSED);
+        if (state === CircuitState.CLOSED && !exists(trialPeriod))
+            consecutiveFailures = 0;
+    }
+
+    function recordFailure(reason, trialPeriod) {
+        if (isTrial(trialPeriod)) return setState(CircuitState.OPEN, reason);
+        if (
+            state === CircuitState.CLOSED 
+            && !exists(trialPeriod)
+            && ++consecutiveFailures >= failureThreshold
+        )
+            setState(CircuitState.OPEN, reason);
+    }
+
+    function circuitBreakerRequestor(receiver, message, callSignal) {
+        checkReceiver(receiver, factoryName);
+        checkResetTimeout();
+
+        if (
+            state === CircuitState.OPEN
+            || (
+                state === CircuitState.HALF_OPEN
+                && trialsInProgress >= halfOpenMax
+            )
+        ) {
+            receiver({
+                reason: new ParsecCircuitOpenError({
+                    factoryName,
+                    excuse: "The circuit is open!",
+                    evidence: state
+                })
+            });
+            return;
+        }
+
+        const trialPeriod = state === CircuitState.HALF_OPEN 
+            ? halfOpenPeriod 
+            : undefined;
+        if (exists(trialPeriod)) trialsInProgress++;
+
+        let cancellor;
+        let removeAbortListeners;
+        let pending = true;
+
+        /**
+         * Marks this call as finished. Returns false if it already was.
+         * @returns {Boolean}
+         */
+        function finishCall() {
+            if (!pending) return false;
+            pending = false;
+
+            if (isTrial(trialPeriod)) trialsInProgress--;
+            if (exists(removeAbortListeners)) removeAbortListeners();
+            return true;
+        }
+
+        function cancel(reason) {
+            if (!finishCall()) return;
+            try {
+                if (isFunction(cancellor)) cancellor(reason);
+            }
+            catch(exception) {/* ignore errors */}
+        }
+
+        function settle({ value, reason }) {
+            if (!finishCall()) return;
+
+            if (exists(value)) recordSuccess(trialPeriod);
+            else recordFailure(reason, trialPeriod);
+
+            receiver({ value, reason });
+        }
+
+        removeAbortListeners = onAbort([callSignal], cancel);
+        if (!pending) return;
+
+        try {
+            cancellor = checkContract(
+                requestor, 
+                factoryName, 
+                undefined, 
+                site
+            )(settle, message, callSignal);
+        }
+        catch(reason) {
+            settle({ reason });
+        }
+
+        return cancel;
+    }
+
+    return Object.freeze(Object.defineProperties(circuitBreakerRequestor, {
+        state: {
+            get() {
+                checkResetTimeout();
+                return state;
+            }
+        },
+        onStateChange: {
+            value(listener) {
+                if (!isFunction(listener))
+                    throw new ParsecValidationError({
+                        factoryName,
+                        excuse: "A state change listener must be a function!",
+                        evidence: listener
+                    });
+
+                listeners.add(listener);
+                return function removeListener() {
+                    listeners.delete(listener);
+                };
+            }
+        },
+        reset: {
+            value() {
+                setState(CircuitState.CLOSED);
+                consecutiveFailures = 0;
+            }
+        }
+    }));
+}
@@ -1,4 +1,10 @@
-import { FactoryName, __factoryName__ } from "../lib/constants.js";
+import { 
+    FactoryName, 
+    __factoryName__, 
+    __shouldFallback__ 
+} from "../lib/constants.js";
+import { exists, isFunction } from "../lib/utils.js";
+import { ParsecValidationError } from "../lib/errors.js";
 import { race } from "./race.js";
 
 /**
@@ -30,20 +36,62 @@ import { race } from "./race.js";
  * 
  * Failure occurs only when all of the provided requestors fail. An optional 
  * time limit can be provided. If so, then failure occurs if the time limit is 
- * reached before any requestor succeeds.
- * @param {Function[]} requestors An array of requestors.
+ * reached before any requestor succeeds. When every requestor fails, the 
+ * reason is a `ParsecAggregateError` which holds the reason of each of them, 
+ * in order. See the documentation for `race`.
+ * 
+ * If `spec.shouldFallback` decides a failure should not fall back, the 
+ * fallback fails immediately with that failure's reason, and the remaining 
+ * requestors are not tried. If `spec.shouldFallback` throws, the fallback 
+ * fails with the exception instead. It is asked about every failure, 
+ * including the last, so the fallback only fails with a 
+ * `ParsecAggregateError` if it allowed every one of them.
+ * @param {Function[]|Iterable|AsyncIterable} requestors An array of requestors, 
+ * or an iterable which requestors are pulled from one at a time.
  * @param {Object} spec Configures fallback.
  * @param {Number} spec.timeLimt An optional time limit.
+ * @param {Number|Number[]} spec.eachTimeLimit Optional. A time limit for each 
+ * requestor. See the documentation for `race`.
+ * @param {Function} spec.shouldFallback Optional. Takes the reason of a failed 
+ * requestor and its index. Return false to fail immediately instead of trying 
+ * the next requestor. By default, every failure falls back.
+ * @param {AbortSignal} spec.signal Optional. Aborting this signal cancels the 
+ * fallback, which fails with a `ParsecCancelError`.
+ * @param {Function} spec.instrument Optional. An instrumentation listener which 
+ * only receives events from this factory. See the documentation for 
+ * `parsec.instrument`.
+ * @param {Object} spec.limiter Optional. A limiter created by 
+ * `parsec.createLimiter`. See the documentation for `race`.
  * @returns {Function} A requestor function. Upon execution, starts the fallback 
  * request.
  */
 export function fallback(requestors, spec = {}) {
     const {
-        timeLimit
+        timeLimit,
+        eachTimeLimit,
+        signal,
+        instrument,
+        limiter,
+        shouldFallback
     } = spec;
+
+    const factoryName = FactoryName.FALLBACK;
+
+    if (exists(shouldFallback) && !isFunction(shouldFallback))
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "shouldFallback must be a function!",
+            evidence: shouldFallback
+        });
+
     return race(requestors, {
         timeLimit,
+        eachTimeLimit,
+        signal,
+        instrument,
+        limiter,
         throttle: 1,
-        [__factoryName__]: FactoryName.FALLBACK
+        [__factoryName__]: factoryName,
+        [__shouldFallback__]: shouldFallback
     });
 }
@@ -0,0 +1,109 @@
+import { FactoryName } from "../lib/constants.js";
+import {
+    exists,
+    isFunction,
+    checkReceiver,
+    onAbort
+} from "../lib/utils.js";
+import { ParsecValidationError } from "../lib/errors.js";
+
+/**
+ * Creates a requestor from an async function.
+ * 
+ * @example
+ * ```
+ * import parsec from "./parsec";
+ * 
+ * const getCheese = parsec.fromAsync(async (cheeseName, signal) => {
+ *     const response = await fetch(
+ *         `https://cheese.com/api/cheeses/${cheeseName}`,
+ *         { signal }
+ *     );
+ *     return response.json();
+ * });
+ * 
+ * // make request
+ * const cancel = getCheese(({ value, reason }) => {
+ *     if (value === undefined) {
+ *         console.log("Failure because", reason);
+ *         return;
+ *     }
+ *     
+ *     console.log("Here's the cheese:", value);
+ * }, "gruyere");
+ * ```
+ * 
+ * Unlike `nebula.usePromise`, which wraps a promise that has already started 
+ * its work, `fn` is not called until the returned requestor is called. Each 
+ * call to the requestor calls `fn` again.
+ * 
+ * `fn` receives the message and an `AbortSignal`. The cancellor of the returned 
+ * requestor aborts the signal with the cancel reason, so `fetch` and other 
+ * abortable APIs can stop their work. Once cancelled, the receiver is never 
+ * called. The requestor also accepts an `AbortSignal` as its third argument, 
+ * and aborting it is the same as calling the cancellor.
+ * 
+ * If the promise returned by `fn` resolves, its value is passed to the 
+ * receiver. If it rejects, or if `fn` throws, the requestor fails with that 
+ * reason. Remember that parsec treats an `undefined` value as failure, so `fn` 
+ * should resolve with something other than `undefined`. If the receiver 
+ * throws, the exception is uncaught rather than an unhandled rejection.
+ * 
+ * @param {Function} fn A function which takes a message and an `AbortSignal` 
+ * and returns a promise (or any value).
+ * @returns {Function} A requestor.
+ */
+export function fromAsync(fn) {
+    const factoryName = FactoryName.FROM_ASYNC;
+
+    if (!isFunction(fn))
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "fromAsync must be given a function!",
+            evidence: fn
+        });
+
+    return function asyncRequestor(receiver, message, callSignal) {
+        checkReceiver(receiver, factoryName);
+
+        const controller = new AbortController();
+        let removeAbortListeners;
+
+        /**
+         * Sends the result to the receiver, at most once.
+         * @param {Object} result 
+         */
+        function settle(result) {
+            if (!exists(receiver)) return;
+            if (exists(removeAbortListeners)) removeAbortListeners();
+            receiver(result);
+            receiver = undefined;
+        }
+
+        function cancel(reason) {
+            if (exists(removeAbortListeners)) removeAbortListeners();
+            receiver = undefined;
+            controller.abort(reason);
+        }
+
+        removeAbortListeners = onAbort([callSignal], cancel);
+        if (controller.signal.aborted) return cancel;
+
+        try {
+            Promise.resolve(fn(message, controller.signal))
+                .then(value => settle({ value }), reason => settle({ reason }))
+
+                // An exception thrown by the receiver would otherwise become 
+                // an unhandled rejection, so it is thrown again outside of 
+                // the promise, as if the receiver had been called by a timer.
+                .catch(exception => queueMicrotask(() => {
+                    throw exception;
+                }));
+        }
+        catch(reason) {
+            settle({ reason });
+        }
+
+        return cancel;
+    };
+}
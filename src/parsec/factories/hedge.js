@@ -0,0 +1,116 @@
+import { 
+    FactoryName, 
+    __factoryName__, 
+    __delays__ 
+} from "../lib/constants.js";
+import { exists, getArrayLength, checkRequestors } from "../lib/utils.js";
+import { ParsecValidationError } from "../lib/errors.js";
+import { race } from "./race.js";
+
+/**
+ * Creates a requestor which races requestors like `race`, but starts them one
+ * at a time, each a little later than the last, so that a slow request can be
+ * overtaken without making every request at once.
+ *
+ * @example
+ * ```
+ * import parsec from "./parsec";
+ *
+ * // ask a second replica if the first hasn't answered in 50ms, and a third
+ * // if neither has answered 100ms after that
+ * const getCheese = parsec.hedge(
+ *     [replicaA.getCheese, replicaB.getCheese, replicaC.getCheese],
+ *     { delays: [50, 100] }
+ * );
+ * ```
+ *
+ * The first requestor is started immediately. Each backup requestor is
+ * started once its delay has passed since the requestor before it started,
+ * unless a requestor has succeeded by then. When a requestor fails, the next
+ * one is started without waiting for its delay.
+ *
+ * The first success wins, and the requestors which are still running are
+ * cancelled. There is only failure if every requestor fails, or the time limit
+ * is reached. When every requestor fails, the reason is a
+ * `ParsecAggregateError` which holds the reason of each of them, like the one
+ * `race` fails with. See the documentation for `race`.
+ *
+ * @param {Function[]} requestors An array of requestors, in the order they are
+ * started.
+ * @param {Object} spec Configures hedge.
+ * @param {Number|Number[]} spec.delays The number of milliseconds to wait
+ * before starting each backup requestor. If a number, it applies to every
+ * backup. If an array, `delays[0]` is the wait before `requestors[1]` starts,
+ * and so on.
+ * @param {Number} spec.timeLimit Optional. A time limit in milliseconds.
+ * @param {Number|Number[]} spec.eachTimeLimit Optional. A time limit for each
+ * requestor. See the documentation for `race`.
+ * @param {AbortSignal} spec.signal Optional. Aborting this signal cancels every
+ * request made by the returned requestor. See the documentation for `race`.
+ * @param {Function} spec.instrument Optional. An instrumentation listener which
+ * only receives events from this factory. See the documentation for
+ * `parsec.instrument`.
+ * @param {Object} spec.limiter Optional. A limiter created by
+ * `parsec.createLimiter`. See the documentation for `race`.
+ * @returns {Function} A requestor.
+ */
+export function hedge(requestors, spec = {}) {
+    const { 
+        delays, 
+        timeLimit, 
+        eachTimeLimit, 
+        signal, 
+        instrument, 
+        limiter 
+    } = spec;
+
+    const factoryName = FactoryName.HEDGE;
+
+    if (getArrayLength(requestors, factoryName) === 0)
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "No requestors provided!"
+        });
+
+    checkRequestors(requestors, factoryName);
+
+    const numberOfBackups = requestors.length - 1;
+    const backupDelays = Array.isArray(delays)
+        ? delays
+        : new Array(numberOfBackups).fill(delays);
+
+    if (backupDelays.length < numberOfBackups)
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "delays must have a delay for each backup requestor!",
+            evidence: delays
+        });
+
+    backupDelays.forEach(delay => {
+        if (typeof delay !== "number" || !(delay >= 0) || delay === Infinity)
+            throw new ParsecValidationError({
+                factoryName,
+                excuse: "delays must be nonnegative, finite numbers!",
+                evidence: delays
+            });
+    });
+
+    if (exists(timeLimit) && (typeof timeLimit !== "number"
+                              || !(timeLimit >= 0)))
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "timeLimit must be a nonnegative number!",
+            evidence: timeLimit
+        });
+
+    return race(requestors, {
+        timeLimit,
+        eachTimeLimit,
+        signal,
+        instrument,
+        limiter,
+        throttle: 1,
+        [__factoryName__]: factoryName,
+        [__delays__]: backupDelays
+    });
+}
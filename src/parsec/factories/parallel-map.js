@@ -0,0 +1,212 @@
+import { FactoryName, __factoryName__ } from "../lib/constants.js";
+import { 
+    exists, 
+    isFunction, 
+    checkRequestors, 
+    checkReceiver 
+} from "../lib/utils.js";
+import { ParsecValidationError } from "../lib/errors.js";
+import { captureSite, checkContract, markChecked } from "../lib/strict.js";
+import { checkListener } from "../lib/instrument.js";
+import { checkLimiter } from "../lib/limiter.js";
+import { checkProgressCallback } from "../lib/progress.js";
+import { parallel } from "./parallel.js";
+
+/**
+ * Creates a requestor which executes one requestor for each element of the 
+ * message it receives.
+ * 
+ * @example
+ * ```
+ * import parsec from "./parsec";
+ * import { createFetchRequestor } from "./example-utils";
+ * 
+ * const getCheeses = parsec.parallelMap(
+ *     cheeseId => createFetchRequestor(`https://cheese.com/api/cheeses/${cheeseId}`),
+ *     { throttle: 4 }
+ * );
+ * 
+ * // make request
+ * getCheeses(({ value, reason }) => {
+ *     if (value === undefined) {
+ *         console.log("Failure because", reason);
+ *         return;
+ *     }
+ *     
+ *     value.forEach(({ value: cheese }) => console.log("Here's a cheese:", cheese));
+ * }, ["gruyere", "cheddar", "brie"]);
+ * ```
+ * 
+ * Unlike `parallel`, whose requestors are fixed when the factory is called, 
+ * the requestors are created when the returned requestor is called. The 
+ * message must be an array or other iterable. `requestorFactory` is called 
+ * with each element and its index, and must return a requestor. That requestor 
+ * receives the element as its message. If `requestorFactory` throws, or does 
+ * not return a requestor, that element fails with the reason.
+ * 
+ * With a throttle, the elements are pulled from the message only when there is 
+ * room to start their requestors, so the message can be a long or endless 
+ * iterable. The results are still collected, one per element.
+ * 
+ * The requestors are executed as `parallel` executes them, so `throttle` and 
+ * `timeLimit` behave the same way. On success, the receiver gets an array 
+ * with one `{ value, reason }` result per element, in the same order as the 
+ * elements.
+ * 
+ * By default, the requestor fails as soon as any element fails. If 
+ * `spec.failFast` is false, every element is treated as optional: each one runs 
+ * to completion, failures are reported in the results instead of failing the 
+ * whole request, and reaching the time limit succeeds with whatever results 
+ * have arrived.
+ * 
+ * @param {Function} requestorFactory Takes an element and its index and 
+ * returns a requestor.
+ * @param {Object} spec Configures parallelMap.
+ * @param {Number} spec.throttle The number of requestors which can be 
+ * simultaneously handled by the server. A throttle of 0 indicates no throttle.
+ * @param {Number} spec.timeLimit Optional. A time limit in milliseconds.
+ * @param {Boolean} spec.failFast Whether the failure of any element fails the 
+ * request. Defaults to true.
+ * @param {AbortSignal} spec.signal Optional. Aborting this signal cancels every 
+ * request made by the returned requestor. See the documentation for 
+ * `parallel`.
+ * @param {Function} spec.instrument Optional. An instrumentation listener which 
+ * only receives events from this factory. See the documentation for 
+ * `parsec.instrument`.
+ * @param {Object} spec.limiter Optional. A limiter created by 
+ * `parsec.createLimiter`. See the documentation for `parallel`.
+ * @param {Function} spec.onProgress Optional. Called each time the request for 
+ * an element settles. The `index` of the progress object is the index of the 
+ * element. See the documentation for `parallel`.
+ * @returns {Function} A requestor which takes an iterable message.
+ */
+export function parallelMap(requestorFactory, spec = {}) {
+    const {
+        throttle,
+        timeLimit,
+        failFast = true,
+        signal,
+        instrument,
+        limiter,
+        onProgress
+    } = spec;
+
+    const factoryName = FactoryName.PARALLEL_MAP;
+    const site = captureSite();
+
+    if (!isFunction(requestorFactory))
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "requestorFactory must be a function!",
+            evidence: requestorFactory
+        });
+
+    if (typeof failFast !== "boolean")
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "failFast must be a boolean!",
+            evidence: failFast
+        });
+
+    // The options are passed on to a new `parallel` on every call, so they are 
+    // checked now rather than failing every call later.
+    if (exists(throttle) && (!Number.isSafeInteger(throttle) || throttle < 0))
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "Throttle must be a nonnegative, safe integer!",
+            evidence: throttle
+        });
+
+    if (exists(timeLimit) && (typeof timeLimit !== "number" 
+                              || !(timeLimit >= 0)))
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "timeLimit must be a nonnegative number!",
+            evidence: timeLimit
+        });
+
+    if (exists(signal) && !(signal instanceof AbortSignal))
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "signal must be an AbortSignal!",
+            evidence: signal
+        });
+
+    if (exists(instrument)) checkListener(instrument, factoryName);
+    if (exists(limiter)) checkLimiter(limiter, factoryName);
+    if (exists(onProgress)) checkProgressCallback(onProgress, factoryName);
+
+    return function parallelMapRequestor(receiver, message, callSignal) {
+        checkReceiver(receiver, factoryName);
+
+        if (!exists(message) || !isFunction(message[Symbol.iterator])) {
+            receiver({ 
+                reason: new ParsecValidationError({
+                    factoryName,
+                    excuse: "The message must be an array or iterable!",
+                    evidence: message
+                })
+            });
+            return;
+        }
+
+        /**
+         * Creates the requestor for an element. It receives its own element 
+         * as its message. In strict mode, the created requestor is checked 
+         * rather than this wrapper, so that violations name it.
+         * @param {any} element 
+         * @param {Number} index 
+         * @returns {Function} A requestor.
+         */
+        function createElementRequestor(element, index) {
+            let requestor;
+            try {
+                requestor = requestorFactory(element, index);
+                checkRequestors([requestor], factoryName);
+            }
+            catch(reason) {
+                return function failedElementRequestor(elementReceiver) {
+                    elementReceiver({ reason });
+                };
+            }
+
+            return markChecked(function elementRequestor(
+                elementReceiver, 
+                _, 
+                elementSignal
+            ) {
+                return checkContract(requestor, factoryName, index, site)(
+                    elementReceiver, 
+                    element, 
+                    elementSignal
+                );
+            });
+        }
+
+        // With a throttle, the elements are pulled from the message as there 
+        // is room to start them, so a long iterable is never held at once. 
+        // Without one, every element is started straight away anyway.
+        let requestors;
+        if (throttle > 0) {
+            requestors = {
+                *[Symbol.iterator]() {
+                    let index = 0;
+                    for (const element of message) 
+                        yield createElementRequestor(element, index++);
+                }
+            };
+        }
+        else requestors = [...message].map(createElementRequestor);
+
+        return parallel(failFast ? requestors : [], {
+            optionals: failFast ? undefined : requestors,
+            throttle,
+            timeLimit,
+            signal,
+            instrument,
+            limiter,
+            onProgress,
+            [__factoryName__]: factoryName
+        })(receiver, undefined, callSignal);
+    };
+}
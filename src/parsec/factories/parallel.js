@@ -3,10 +3,56 @@ import {
     getArrayLength, 
     checkRequestors, 
     checkReceiver,
-    makeReason
+    isRequestorMap,
+    checkRequestorMap
 } from "../lib/utils.js";
-import { __factoryName__, FactoryName, TimeOption } from "../lib/constants.js";
+import { 
+    __factoryName__, 
+    FactoryName, 
+    TimeOption, 
+    allTimeOptions 
+} from "../lib/constants.js";
+import { 
+    ParsecCancelError, 
+    ParsecTimeoutError, 
+    ParsecValidationError 
+} from "../lib/errors.js";
 import { run } from "../lib/run.js";
+import { captureSite } from "../lib/strict.js";
+import { checkListener } from "../lib/instrument.js";
+import { checkLimiter } from "../lib/limiter.js";
+import { limitEach, createEachLimiter } from "./timeout.js";
+import { getPriorities } from "../lib/priority.js";
+import { isLazySource, mapSource } from "../lib/source.js";
+import { 
+    checkProgressCallback, 
+    createProgressReporter 
+} from "../lib/progress.js";
+
+// The options in the spec of `parallel`.
+const specOptions = new Set([
+    "optionals",
+    "timeLimit",
+    "eachTimeLimit",
+    "timeOption",
+    "throttle",
+    "signal",
+    "instrument",
+    "limiter",
+    "priorities",
+    "onProgress"
+]);
+
+/**
+ * Returns true if the candidate is an object whose keys are all options of 
+ * `parallel`, so that it can be given to `parallel` in place of the spec.
+ * @param {any} candidate 
+ * @returns {Boolean}
+ */
+function isSpec(candidate) {
+    return isRequestorMap(candidate) 
+        && Object.keys(candidate).every(key => specOptions.has(key));
+}
 
 /**
  * Creates a requestor which executes multiple requestors concurrently.
@@ -55,37 +101,110 @@ import { run } from "../lib/run.js";
  * A time limit can be provided. The requestor returned by `parallel` fails if 
  * the time limit is reached before every necessary requestor completes.
  * 
+ * When the requestors are given as an iterable, only the requestors which are 
+ * running are held, but the results are still collected into an array, so 
+ * they take memory in proportion to the number of requestors. If only some 
+ * of the results are needed, have the requestors succeed with just those.
+ * 
+ * Instead of arrays, the necessities and optionals can be objects which map 
+ * keys to requestors. In that case the result is an object with the same keys, 
+ * and each key holds the `{ value, reason }` result of its requestor. Keys of 
+ * optionals which did not finish hold an undefined value.
+ * 
+ * @example
+ * ```
+ * const getPage = parsec.parallel(
+ *     { user: getUser, prefs: getPrefs },
+ *     { optionals: { ads: getAds } }
+ * );
+ * 
+ * getPage(({ value, reason }) => {
+ *     if (value === undefined) return console.log("Failure because", reason);
+ *     
+ *     const { user, prefs, ads } = value;
+ *     console.log(user.value, prefs.value, ads.value);
+ * });
+ * ```
+ * 
  * @param {Function[]|Object} necesseties If an array, then the argument is an 
  * array of requestors. The requestor fails if any of these requestors fail. If 
- * this argument is an object, then it replaces the `spec` parameter.
+ * this argument is an iterable or async iterable, then requestors are pulled 
+ * from it as they are needed, and a throttle is required. If this argument is 
+ * any other object, then it maps keys to necessary requestors, and every key 
+ * must map to a requestor. The only exception is when `spec` is not given and 
+ * every key of this argument is the name of an option below: then this 
+ * argument replaces the `spec` parameter.
  * @param {Object} spec Configures parallel.
- * @param {Function[]} spec.optionals An array of optional requestors. The 
- * requestor still succeeds even if any optionals fail. The `timeOption` 
+ * @param {Function[]|Object} spec.optionals An array of optional requestors, or 
+ * an object which maps keys to optional requestors. Use an object only if the 
+ * necessities are also given as an object, or if there are no necessities. If 
+ * there are no necessities, this can also be an iterable or async iterable, 
+ * which is pulled from like an iterable of necessities. The requestor still 
+ * succeeds even if any optionals fail. The `timeOption` 
  * property changes how `parallel` handles optionals if a `timeLimit` is 
  * provided.
  * @param {Number} spec.timeLimit Optional. A timeout in milliseconds. Failure 
  * occurs if the required requestors are not all complete before this time limit.
+ * Unless `timeOption` is `REQUIRE_NECESSITIES`, reaching it cancels every 
+ * requestor still running.
+ * @param {Number|Number[]|Object} spec.eachTimeLimit Optional. A time limit in 
+ * milliseconds for individual requestors. If a number, it applies to every 
+ * requestor. If an array, each number applies to the requestor at the same 
+ * position (the necessities come first, followed by the optionals). If an 
+ * object, each number applies to the requestor with the same key. A 
+ * requestor which exceeds its limit is cancelled and fails with a 
+ * `ParsecTimeoutError`. 
  * @param {String} spec.timeOption Determines how the optional requestors are 
  * handled when the required requestors are all complete. See the documentation 
  * for the `TimeOption` object.
  * @param {Number} spec.throttle The number of requestors which can be 
  * simultaneously handled by the server. A throttle of 0 indicates no throttle.
+ * @param {AbortSignal} spec.signal Optional. Aborting this signal cancels every 
+ * request made by the returned requestor. Each of them fails with a 
+ * `ParsecCancelError` whose cause is the signal's reason.
+ * @param {Function} spec.instrument Optional. An instrumentation listener which 
+ * only receives events from this factory. See the documentation for 
+ * `parsec.instrument`.
+ * @param {Object} spec.limiter Optional. A limiter created by 
+ * `parsec.createLimiter`. Every requestor started by the returned requestor 
+ * waits for a slot from the limiter, which may be shared with other callers.
+ * @param {Array|Object} spec.priorities Optional. The priority of each 
+ * requestor: a number, or a function which takes the message and returns one. 
+ * If an array, each entry applies to the requestor at the same position (the 
+ * necessities come first, followed by the optionals). If an object, each 
+ * entry applies to the requestor with the same key. When throttled, 
+ * requestors with higher priorities are started first. Missing entries have a 
+ * priority of 0. The priorities are also used by `spec.limiter`. See the 
+ * documentation for `parsec.createLimiter`.
+ * @param {Function} spec.onProgress Optional. Called each time one of the 
+ * requestors settles, before the receiver is called. It is given an object 
+ * with the `index` of the requestor, its `key` if requestor maps were given, 
+ * its `value` and `reason`, and the number of requestors which are `pending`, 
+ * `succeeded` and `failed` so far. Requestors which are cancelled are not 
+ * reported.
  * @returns {Function} Requestor which calls the array of requestors in 
  * "parallel".
  */
-export function parallel(necesseties, spec = {}) {
-    if (
-        !Array.isArray(necesseties)
-        && typeof necesseties === "object"
-    ) {
+export function parallel(necesseties, spec) {
+    // A lone object made only of options is the spec. Anything in the first 
+    // position of two is always the necessities.
+    if (!exists(spec) && isSpec(necesseties)) {
         spec = necesseties;
         necesseties = [];
     }
+    if (!exists(spec)) spec = {};
+
+    let { optionals } = spec;
 
     const {
-        optionals,
         timeLimit,
+        eachTimeLimit,
         throttle,
+        signal,
+        instrument,
+        limiter,
+        priorities,
+        onProgress
     } = spec
 
     // `spec[__factoryName__]` can be something other than 
@@ -93,71 +212,218 @@ export function parallel(necesseties, spec = {}) {
     // logic. This is an internal option that the user should not use, hence it 
     // not mentioned in the public documentation for parallel. 
     const factoryName = spec[__factoryName__] || FactoryName.PARALLEL;
+    const site = captureSite();
 
     let { 
         timeOption = TimeOption.SKIP_OPTIONALS_IF_TIME_REMAINS 
     } = spec;
 
+    // If requestor maps were given, remember their keys and continue as if 
+    // arrays were given. The keys are used to build the result object.
+    let keys;
+
+    // Requestors given as an iterable are pulled as they are needed. They are 
+    // all necessities, or, if the iterable was given as the optionals, all 
+    // optionals.
+    const areOptionalsLazy = isLazySource(optionals);
+    const isLazy = isLazySource(necesseties) || areOptionalsLazy;
+
+    if (
+        isLazy 
+        && (
+            exists(priorities) 
+            || (
+                areOptionalsLazy 
+                    ? isLazySource(necesseties) 
+                      || getArrayLength(necesseties, factoryName) > 0
+                    : exists(optionals)
+            )
+        )
+    )
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "Requestors given as an iterable can't be mixed with " + 
+                    "other requestors, or given priorities!",
+            evidence: { necesseties, optionals, priorities }
+        });
+
+    if (
+        !isLazy 
+        && (isRequestorMap(necesseties) || isRequestorMap(optionals))
+    ) {
+        const necessityKeys = isRequestorMap(necesseties)
+            ? Object.keys(necesseties)
+            : [];
+        const optionalKeys = isRequestorMap(optionals)
+            ? Object.keys(optionals)
+            : [];
+
+        if (
+            (
+                !isRequestorMap(necesseties) 
+                && getArrayLength(necesseties, factoryName) > 0
+            )
+            || (!isRequestorMap(optionals) && exists(optionals))
+        )
+            throw new ParsecValidationError({
+                factoryName,
+                excuse: "Necessities and optionals must both be arrays or " + 
+                        "both be objects!",
+                evidence: { necesseties, optionals }
+            });
+
+        [necesseties, optionals]
+            .filter(isRequestorMap)
+            .forEach(requestorMap => 
+                checkRequestorMap(requestorMap, factoryName));
+
+        keys = [...necessityKeys, ...optionalKeys];
+
+        if (new Set(keys).size !== keys.length)
+            throw new ParsecValidationError({
+                factoryName,
+                excuse: "Necessities and optionals cannot share keys!",
+                evidence: keys
+            });
+
+        necesseties = Object.values(necesseties);
+        optionals = optionalKeys.length > 0 
+            ? Object.values(optionals) 
+            : undefined;
+    }
+
     let requestors;
+    let numberOfNecessities;
 
-    const numberOfNecessities = getArrayLength(necesseties, factoryName);
+    if (isLazy) {
+        numberOfNecessities = areOptionalsLazy ? 0 : Infinity;
+        timeOption = areOptionalsLazy 
+            ? TimeOption.TRY_OPTIONALS_IF_TIME_REMAINS 
+            : TimeOption.SKIP_OPTIONALS_IF_TIME_REMAINS;
 
-    if (numberOfNecessities === 0) {
-        if (getArrayLength(optionals, factoryName) === 0) {
-            // no necesseties and no optionals
-            requestors = [];
-        }
-        else {
-            // no necesseties and some optionals
-            requestors = optionals;
-            timeOption = TimeOption.TRY_OPTIONALS_IF_TIME_REMAINS;
-        }
+        // Each requestor is checked and limited as it is pulled.
+        const limitOne = createEachLimiter(eachTimeLimit, factoryName);
+        const source = areOptionalsLazy ? optionals : necesseties;
+        requestors = mapSource(source, (requestor, index) => {
+            checkRequestors([requestor], factoryName);
+            return limitOne(requestor, index);
+        });
     }
     else {
-        if (getArrayLength(optionals, factoryName) === 0) {
-            // some necesseties and no optionals
-            requestors = necesseties;
-            timeOption = TimeOption.IGNORE_OPTIONALS_IF_TIME_REMAINS;
+        numberOfNecessities = getArrayLength(necesseties, factoryName);
+
+        if (numberOfNecessities === 0) {
+            if (getArrayLength(optionals, factoryName) === 0) {
+                // no necesseties and no optionals
+                requestors = [];
+            }
+            else {
+                // no necesseties and some optionals
+                requestors = optionals;
+                timeOption = TimeOption.TRY_OPTIONALS_IF_TIME_REMAINS;
+            }
         }
         else {
-            // some necesseties and some optionals
-            requestors = [...necesseties, ...optionals];
+            if (getArrayLength(optionals, factoryName) === 0) {
+                // some necesseties and no optionals
+                requestors = necesseties;
+                timeOption = TimeOption.SKIP_OPTIONALS_IF_TIME_REMAINS;
+            }
+            else {
+                // some necesseties and some optionals
+                requestors = [...necesseties, ...optionals];
 
-            // ensure the provided timeOption is one of those contained
-            // in the TimeOption object
-            if (!allTimeOption.some(option => option === timeOption))
-                throw makeReason({
-                    factoryName,
-                    excuse: "timeOption must be one of: " + 
-                            allTimeOptions.join(", "),
-                    evidence: timeOption
-                });
+                // ensure the provided timeOption is one of those contained
+                // in the TimeOption object
+                if (!allTimeOptions.some(option => option === timeOption))
+                    throw new ParsecValidationError({
+                        factoryName,
+                        excuse: "timeOption must be one of: " + 
+                                allTimeOptions.join(", "),
+                        evidence: timeOption
+                    });
+            }
         }
+
+        checkRequestors(requestors, factoryName);
+
+        requestors = limitEach(requestors, eachTimeLimit, factoryName, keys);
     }
 
-    checkRequestors(requestors, factoryName);
+    if (exists(instrument)) checkListener(instrument, factoryName);
+    if (exists(limiter)) checkLimiter(limiter, factoryName);
+    if (exists(onProgress)) checkProgressCallback(onProgress, factoryName);
+
+    const requestorPriorities = isLazy 
+        ? undefined 
+        : getPriorities(priorities, requestors.length, factoryName, keys);
     
     /**
      * A requestor which executes an array of requestors in "parallel".
      * @param {Function} callback Requestor callbacks take a value and a reason.
      * An existing reason indicates some error state.
      * @param {any} initialValue The value passed to the requestors.
+     * @param {AbortSignal} callSignal Optional. Aborting this signal cancels 
+     * the parallel request.
      * @returns {Function} A cancel function. Attempts to cancel the parallel 
      * request.
      */
-    return function parallelRequestor(receiver, initialMessage) {
+    return function parallelRequestor(receiver, initialMessage, callSignal) {
         checkReceiver(receiver, factoryName);
 
-        let numberPending = requestors.length;
+        // An iterable's length is only known once it runs out. Until then, 
+        // there are always more requestors pending.
+        let numberOfRequestors = isLazy ? undefined : requestors.length;
+        let numberPending = isLazy ? Infinity : requestors.length;
         let numberPendingNecessities = numberOfNecessities;
+        let numberSettled = 0;
 
         const results = [];
 
+        const reportProgress = createProgressReporter(
+            onProgress, 
+            () => numberOfRequestors, 
+            keys
+        );
+
+        /**
+         * Returns the results in the shape they were requested. 
+         * @returns {Object[]|Object}
+         */
+        function formatResults() {
+            if (!exists(keys)) return results;
+
+            return Object.fromEntries(keys.map((key, index) => [
+                key, 
+                exists(results[index]) 
+                    ? results[index] 
+                    : { value: undefined, reason: undefined }
+            ]));
+        }
+
+        /**
+         * Cancels the optionals and sends the results to the receiver.
+         * @param {Reason} reason The reason of the last requestor to settle.
+         */
+        function succeed(reason) {
+            cancel(new ParsecCancelError({
+                factoryName,
+                excuse: "All necessities are complete, optional " + 
+                        "requestors are being canceled"
+            }));
+            receiver(
+                factoryName === FactoryName.SEQUENCE 
+                ? results.pop() 
+                : { value: formatResults(), reason }
+            );
+            receiver = undefined;
+        }
+
         if (numberPending === 0) {
             receiver(
                 factoryName === FactoryName.SEQUENCE 
                 ? { value: initialMessage } 
-                : { value: results }
+                : { value: formatResults() }
             );
             return;
         }
@@ -175,6 +441,10 @@ export function parallel(necesseties, spec = {}) {
                 results[requestorIndex] = { value, reason }
 
                 numberPending--;
+                numberSettled++;
+
+                if (exists(reportProgress)) 
+                    reportProgress({ value, reason, requestorIndex });
 
                 // The necessities are encountered first. Notice we only enter 
                 // failure state if a necessity fails.
@@ -186,7 +456,12 @@ export function parallel(necesseties, spec = {}) {
                     if (!exists(value)) {
 
                         // This is the cancel function returned by `run`
-                        cancel(reason);
+                        cancel(new ParsecCancelError({
+                            factoryName,
+                            excuse: "A necessary requestor failed!",
+                            requestorIndex,
+                            cause: reason
+                        }));
 
                         receiver({ reason });
                         receiver = undefined;
@@ -201,23 +476,20 @@ export function parallel(necesseties, spec = {}) {
                         timeOption === TimeOption.SKIP_OPTIONALS_IF_TIME_REMAINS
                         && numberPendingNecessities < 1
                     )
-                ) {
-                    cancel(makeReason({
-                        factoryName,
-                        excuse: "All necessities are complete, optional " + 
-                                "requestors are being canceled"
-                    }));
-                    receiver(
-                        factoryName === FactoryName.SEQUENCE 
-                        ? results.pop() 
-                        : { value: results, reason }
-                    );
-                    receiver = undefined;
-                }
+                ) 
+                    succeed(reason);
 
             },
+            exhausted(total) {
+                numberOfRequestors = total;
+                numberPending = total - numberSettled;
+                if (numberOfNecessities > 0) 
+                    numberPendingNecessities = numberPending;
+
+                if (numberPending < 1) succeed();
+            },
             timeout() {
-                const reason = makeReason({
+                const reason = new ParsecTimeoutError({
                     factoryName,
                     excuse: "Time limit reached!",
                     evidence: timeLimit
@@ -226,16 +498,15 @@ export function parallel(necesseties, spec = {}) {
                     timeOption = TimeOption.SKIP_OPTIONALS_IF_TIME_REMAINS;
                     if (numberPendingNecessities < 1) {
                         cancel(reason);
-                        receiver({ value: results, reason });
+                        receiver({ value: formatResults(), reason });
+                        receiver = undefined;
                     }
                 }
-                else if (
-                    timeOption === TimeOption.TRY_OPTIONALS_IF_TIME_REMAINS
-                ) {
+                else {
                     cancel(reason);
 
                     if (numberPendingNecessities < 1) {
-                        receiver({ value: results });
+                        receiver({ value: formatResults() });
                     }
                     // We failed if some necessities weren't handled in time
                     else {
@@ -245,7 +516,17 @@ export function parallel(necesseties, spec = {}) {
                 }
             },
             timeLimit,
-            throttle
+            throttle,
+            signals: [callSignal],
+            signal,
+            aborted(reason) {
+                receiver({ reason });
+                receiver = undefined;
+            },
+            instrument,
+            limiter,
+            priorities: requestorPriorities,
+            site
         });
 
         return cancel;
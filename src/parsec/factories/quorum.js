@@ -0,0 +1,201 @@
+import { FactoryName } from "../lib/constants.js";
+import {
+    exists,
+    getArrayLength,
+    checkRequestors,
+    checkReceiver
+} from "../lib/utils.js";
+import {
+    ParsecAggregateError,
+    ParsecCancelError,
+    ParsecTimeoutError,
+    ParsecValidationError
+} from "../lib/errors.js";
+import { run } from "../lib/run.js";
+import { captureSite } from "../lib/strict.js";
+import { now } from "../lib/scheduler.js";
+import { checkListener } from "../lib/instrument.js";
+import { checkLimiter } from "../lib/limiter.js";
+import { limitEach } from "./timeout.js";
+
+/**
+ * Creates a requestor which succeeds once enough of its requestors succeed.
+ *
+ * @example
+ * ```
+ * import parsec from "./parsec";
+ *
+ * const readCheese = parsec.quorum(
+ *     [replicaA.readCheese, replicaB.readCheese, replicaC.readCheese],
+ *     { required: 2, timeLimit: 1000 }
+ * );
+ *
+ * readCheese(({ value, reason }) => {
+ *     if (value === undefined) {
+ *         // one reason for each replica which failed
+ *         console.log("Failure because", reason.errors);
+ *         return;
+ *     }
+ *
+ *     const [first, second] = value;
+ *     console.log("Here's the cheese:", first, second);
+ * });
+ * ```
+ *
+ * The requestors run concurrently. Once `required` of them succeed, the rest
+ * are cancelled, and the value is an array of the successful values, in the
+ * order their requestors were given. As soon as so many requestors have
+ * failed that the quorum can't be reached, the rest are cancelled and the
+ * requestor fails.
+ *
+ * Failure is a `ParsecAggregateError`. Its `errors` holds the reason of each
+ * requestor which failed, in the order they failed, and its `evidence` holds a
+ * matching `{ requestorIndex, reason, startTime, duration }` object for each
+ * of them. See the documentation for `race`. If the time limit was reached,
+ * its `cause` is a `ParsecTimeoutError`.
+ *
+ * @param {Function[]} requestors An array of requestors.
+ * @param {Object} spec Configures quorum.
+ * @param {Number} spec.required The number of requestors which must succeed.
+ * Defaults to a majority of the requestors.
+ * @param {Number} spec.timeLimit Optional. A time limit in milliseconds.
+ * @param {Number|Number[]} spec.eachTimeLimit Optional. A time limit for each
+ * requestor. See the documentation for `race`.
+ * @param {Number} spec.throttle Optional. Limits the number of requestors which
+ * run at once.
+ * @param {AbortSignal} spec.signal Optional. Aborting this signal cancels every
+ * request made by the returned requestor. See the documentation for `race`.
+ * @param {Function} spec.instrument Optional. An instrumentation listener which
+ * only receives events from this factory. See the documentation for
+ * `parsec.instrument`.
+ * @param {Object} spec.limiter Optional. A limiter created by
+ * `parsec.createLimiter`. See the documentation for `race`.
+ * @returns {Function} A requestor.
+ */
+export function quorum(requestors, spec = {}) {
+    const factoryName = FactoryName.QUORUM;
+    const site = captureSite();
+    const numberOfRequestors = getArrayLength(requestors, factoryName);
+
+    const {
+        required = Math.floor(numberOfRequestors / 2) + 1,
+        timeLimit,
+        eachTimeLimit,
+        throttle,
+        signal,
+        instrument,
+        limiter
+    } = spec;
+
+    if (numberOfRequestors === 0)
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "No requestors provided!"
+        });
+
+    checkRequestors(requestors, factoryName);
+
+    if (
+        !Number.isSafeInteger(required)
+        || required < 1
+        || required > numberOfRequestors
+    )
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "required must be a positive integer no greater than " +
+                    "the number of requestors!",
+            evidence: required
+        });
+
+    if (exists(instrument)) checkListener(instrument, factoryName);
+    if (exists(limiter)) checkLimiter(limiter, factoryName);
+
+    requestors = limitEach(requestors, eachTimeLimit, factoryName);
+
+    // Once this many requestors fail, the quorum can't be reached.
+    const tolerance = numberOfRequestors - required + 1;
+
+    return function quorumRequestor(receiver, initialMessage, callSignal) {
+        checkReceiver(receiver, factoryName);
+
+        // The values of the requestors which succeeded, by index
+        const values = [];
+        let numberSucceeded = 0;
+
+        // What is known about each requestor which failed
+        const failures = [];
+
+        /**
+         * Cancels the requestors which are still running and fails.
+         * @param {String} excuse
+         * @param {Reason} cause Optional.
+         */
+        function fail(excuse, cause) {
+            const reason = new ParsecAggregateError({
+                factoryName,
+                excuse,
+                evidence: failures,
+                cause,
+                errors: failures.map(failure => failure.reason)
+            });
+            cancel(reason);
+            receiver({ reason });
+            receiver = undefined;
+        }
+
+        const cancel = run({
+            factoryName,
+            requestors,
+            initialMessage,
+            action({ value, reason, requestorIndex, startTime }) {
+                if (exists(value)) {
+                    values[requestorIndex] = value;
+                    numberSucceeded++;
+
+                    if (numberSucceeded < required) return;
+
+                    cancel(new ParsecCancelError({
+                        factoryName,
+                        excuse: "The quorum was reached!",
+                        evidence: required
+                    }));
+                    receiver({ value: values.filter(exists) });
+                    receiver = undefined;
+                    return;
+                }
+
+                failures.push(Object.freeze({
+                    requestorIndex,
+                    reason,
+                    startTime,
+                    duration: now() - startTime
+                }));
+
+                if (failures.length >= tolerance)
+                    fail("Too many requestors failed to reach the quorum!");
+            },
+            timeout() {
+                fail(
+                    "Time limit reached before the quorum!",
+                    new ParsecTimeoutError({
+                        factoryName,
+                        excuse: "Timeout occured!",
+                        evidence: timeLimit
+                    })
+                );
+            },
+            timeLimit,
+            throttle,
+            signals: [callSignal],
+            signal,
+            aborted(reason) {
+                receiver({ reason });
+                receiver = undefined;
+            },
+            instrument,
+            limiter,
+            site
+        });
+        return cancel;
+    };
+}
@@ -1,12 +1,37 @@
-import { FactoryName, __factoryName__ } from "../lib/constants.js";
+import { 
+    FactoryName, 
+    __factoryName__, 
+    __shouldFallback__, 
+    __delays__ 
+} from "../lib/constants.js";
 import {
     exists, 
     getArrayLength, 
     checkRequestors, 
-    checkReceiver, 
-    makeReason 
+    checkReceiver
 } from "../lib/utils.js";
+import { 
+    ParsecAggregateError,
+    ParsecCancelError, 
+    ParsecTimeoutError, 
+    ParsecValidationError 
+} from "../lib/errors.js";
 import { run } from "../lib/run.js";
+import { captureSite } from "../lib/strict.js";
+import { now } from "../lib/scheduler.js";
+import { checkListener } from "../lib/instrument.js";
+import { checkLimiter } from "../lib/limiter.js";
+import { limitEach, createEachLimiter } from "./timeout.js";
+import { getPriorities } from "../lib/priority.js";
+import { isLazySource, mapSource } from "../lib/source.js";
+import { 
+    checkProgressCallback, 
+    createProgressReporter 
+} from "../lib/progress.js";
+
+// An iterable can give any number of requestors, so only this many of their 
+// failures are kept for the `ParsecAggregateError`.
+const MAX_LAZY_FAILURES = 100;
 
 /**
  * Creates a requestor which succeeds when any of its requestors succeeds.
@@ -35,19 +60,58 @@ import { run } from "../lib/run.js";
  * });
  * ```
  * 
- * There is only failure if every requestor fails.
+ * There is only failure if every requestor fails, or the time limit is 
+ * reached. When every requestor fails, the reason is a `ParsecAggregateError`. 
+ * Its `errors` holds the reason of each requestor, in the order the requestors 
+ * were given, and its `evidence` holds a matching `{ requestorIndex, reason, 
+ * startTime, duration }` object for each of them. `startTime` is the time on 
+ * the scheduler's clock when the requestor started, and `duration` is how many 
+ * milliseconds it ran before failing. An iterable can give any number of 
+ * requestors, so only the last 100 failures from one are kept.
  * 
- * @param {Function[]} requestors An array of requestors.
+ * @param {Function[]|Iterable|AsyncIterable} requestors An array of requestors, 
+ * or an iterable which requestors are pulled from as they are needed.
  * @param {Object} spec Configures race.
  * @param {Number} spec.timeLimit A time limit in milliseconds.
+ * @param {Number|Number[]} spec.eachTimeLimit Optional. A time limit in 
+ * milliseconds for individual requestors. If a number, it applies to every 
+ * requestor. If an array, each number applies to the requestor at the same 
+ * position. A requestor which exceeds its limit is cancelled and fails with a 
+ * `ParsecTimeoutError`. 
  * @param {Number} spec.throttle Limits the number of requestors executed in a 
  * tick.
+ * @param {AbortSignal} spec.signal Optional. Aborting this signal cancels every 
+ * request made by the returned requestor. Each of them fails with a 
+ * `ParsecCancelError` whose cause is the signal's reason.
+ * @param {Function} spec.instrument Optional. An instrumentation listener which 
+ * only receives events from this factory. See the documentation for 
+ * `parsec.instrument`.
+ * @param {Object} spec.limiter Optional. A limiter created by 
+ * `parsec.createLimiter`. Every requestor started by the returned requestor 
+ * waits for a slot from the limiter, which may be shared with other callers.
+ * @param {Array} spec.priorities Optional. The priority of each requestor: a 
+ * number, or a function which takes the message and returns one. Each entry 
+ * applies to the requestor at the same position. When throttled, requestors 
+ * with higher priorities are started first. Missing entries have a priority 
+ * of 0. The priorities are also used by `spec.limiter`. See the documentation 
+ * for `parsec.createLimiter`.
+ * @param {Function} spec.onProgress Optional. Called each time one of the 
+ * requestors settles, before the receiver is called. It is given an object 
+ * with the `index` of the requestor, its `value` and `reason`, and the number 
+ * of requestors which are `pending`, `succeeded` and `failed` so far. 
+ * Requestors which are cancelled are not reported.
  * @returns {Function} A requestor. Calling this method starts the race.
  */
 export function race(requestors, spec = {}) {
     const {
         timeLimit,
-        throttle
+        eachTimeLimit,
+        throttle,
+        signal,
+        instrument,
+        limiter,
+        priorities,
+        onProgress
     } = spec;
 
     // `spec[__factoryName__]` can be something other than `FactoryName.RACE` 
@@ -55,29 +119,146 @@ export function race(requestors, spec = {}) {
     // option that the user should not use, hence it not mentioned in the public 
     // documentation `race`. 
     const factoryName = spec[__factoryName__] || FactoryName.RACE;
+    const site = captureSite();
+
+    // `fallback` uses this internal option to stop early on failures which 
+    // should not fall back. See the documentation for `fallback`.
+    const shouldFallback = spec[__shouldFallback__];
+
+    // `hedge` uses this internal option to start backup requestors before 
+    // the throttle has room for them. See the documentation for `hedge`.
+    const delays = spec[__delays__];
+
+    const isLazy = isLazySource(requestors);
+
+    if (isLazy) {
+        if (exists(priorities))
+            throw new ParsecValidationError({
+                factoryName,
+                excuse: "priorities can't be used when requestors are given " + 
+                        "as an iterable!",
+                evidence: priorities
+            });
+
+        // Each requestor is checked and limited as it is pulled.
+        const limitOne = createEachLimiter(eachTimeLimit, factoryName);
+        requestors = mapSource(requestors, (requestor, index) => {
+            checkRequestors([requestor], factoryName);
+            return limitOne(requestor, index);
+        });
+    }
+    else {
+        if (getArrayLength(requestors, factoryName) === 0) 
+            throw new ParsecValidationError({
+                factoryName,
+                excuse: "No requestors provided!"
+            });
 
-    if (getArrayLength(requestors, factoryName) === 0) throw makeReason({
-        factoryName,
-        excuse: "No requestors provided!"
-    });
+        checkRequestors(requestors, factoryName);
 
-    checkRequestors(requestors, factoryName);
+        requestors = limitEach(requestors, eachTimeLimit, factoryName);
+    }
 
-    return function raceRequestor(receiver, initialMessage) {
+    if (exists(instrument)) checkListener(instrument, factoryName);
+    if (exists(limiter)) checkLimiter(limiter, factoryName);
+    if (exists(onProgress)) checkProgressCallback(onProgress, factoryName);
+
+    const requestorPriorities = isLazy 
+        ? undefined 
+        : getPriorities(priorities, requestors.length, factoryName);
+
+    return function raceRequestor(receiver, initialMessage, callSignal) {
         checkReceiver(receiver, factoryName);
 
-        let numberPending = requestors.length;
+        // An iterable's length is only known once it runs out.
+        let numberOfRequestors = isLazy ? undefined : requestors.length;
+        let numberSettled = 0;
+
+        // What is known about each requestor which failed, or about the last 
+        // of them if the requestors come from an iterable
+        const failures = [];
+        let numberDropped = 0;
+
+        const reportProgress = createProgressReporter(
+            onProgress, 
+            () => numberOfRequestors
+        );
+
+        /**
+         * Fails if every requestor has failed.
+         */
+        function checkForFailure() {
+            if (
+                !exists(numberOfRequestors) 
+                || numberSettled < numberOfRequestors
+            ) return;
+
+            // Nothing succeeded. This is now a failure
+            failures.sort((a, b) => a.requestorIndex - b.requestorIndex);
+            const reason = numberOfRequestors > 0 
+                ? new ParsecAggregateError({
+                    factoryName,
+                    excuse: numberDropped > 0 
+                        ? "Every requestor failed! Only the last " + 
+                          `${MAX_LAZY_FAILURES} failures were kept.`
+                        : "Every requestor failed!",
+                    evidence: failures,
+                    errors: failures.map(failure => failure.reason)
+                })
+                : new ParsecValidationError({
+                    factoryName,
+                    excuse: "No requestors provided!"
+                });
+            cancel(reason);
+            receiver({ reason });
+            receiver = undefined;
+        }
+
+        /**
+         * Asks `shouldFallback` whether to keep going after a failure. If 
+         * not, fails with the reason, or with whatever `shouldFallback` threw.
+         * @param {Reason} reason
+         * @param {Number} requestorIndex
+         * @returns {Boolean}
+         */
+        function shouldContinue(reason, requestorIndex) {
+            // This is asked even after the last requestor fails, since with 
+            // an iterable that is often not known yet.
+            if (!exists(shouldFallback)) return true;
+
+            let keepGoing = false;
+            try {
+                keepGoing = Boolean(shouldFallback(reason, requestorIndex));
+            }
+            catch(exception) {
+                reason = exception;
+            }
+            if (keepGoing) return true;
+
+            cancel(new ParsecCancelError({
+                factoryName,
+                excuse: "A failure should not fall back!",
+                requestorIndex,
+                cause: reason
+            }));
+            receiver({ reason });
+            receiver = undefined;
+            return false;
+        }
 
         let cancel = run({
             factoryName,
             requestors,
             initialMessage,
-            action({ value, reason, requestorIndex }) {
-                numberPending--;
+            action({ value, reason, requestorIndex, startTime }) {
+                numberSettled++;
+
+                if (exists(reportProgress)) 
+                    reportProgress({ value, reason, requestorIndex });
                 
                 if (exists(value)) {
                     // We have a winner. Cancel the losers
-                    cancel(makeReason({
+                    cancel(new ParsecCancelError({
                         factoryName,
                         excuse: "Cancelling loser!",
                         evidence: requestorIndex
@@ -85,15 +266,27 @@ export function race(requestors, spec = {}) {
                     receiver({ value, reason });
                     receiver = undefined;
                 }
-                else if (numberPending < 1) {
-                    // Nothing succeeded. This is now a failure
-                    cancel(reason);
-                    receiver({ reason });
-                    receiver = undefined;
+                else {
+                    failures.push(Object.freeze({
+                        requestorIndex,
+                        reason,
+                        startTime,
+                        duration: now() - startTime
+                    }));
+                    if (isLazy && failures.length > MAX_LAZY_FAILURES) {
+                        failures.shift();
+                        numberDropped++;
+                    }
+                    if (!shouldContinue(reason, requestorIndex)) return;
+                    checkForFailure();
                 }
             },
+            exhausted(total) {
+                numberOfRequestors = total;
+                checkForFailure();
+            },
             timeout() {
-                const reason = makeReason({
+                const reason = new ParsecTimeoutError({
                     factoryName,
                     excuse: "Timeout occured!",
                     evidence: timeLimit
@@ -103,7 +296,18 @@ export function race(requestors, spec = {}) {
                 receiver = undefined;
             },
             timeLimit,
-            throttle
+            throttle,
+            signals: [callSignal],
+            signal,
+            aborted(reason) {
+                receiver({ reason });
+                receiver = undefined;
+            },
+            instrument,
+            limiter,
+            priorities: requestorPriorities,
+            site,
+            delays
         });
         return cancel;
     };
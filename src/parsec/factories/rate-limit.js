@@ -0,0 +1,231 @@
+import { FactoryName } from "../lib/constants.js";
+import {
+    exists,
+    isFunction,
+    checkRequestors,
+    checkReceiver,
+    onAbort
+} from "../lib/utils.js";
+import {
+    ParsecRateLimitError,
+    ParsecValidationError
+} from "../lib/errors.js";
+import { setTimer, clearTimer, now } from "../lib/scheduler.js";
+import { captureSite, checkContract } from "../lib/strict.js";
+
+/**
+ * Creates a requestor which executes a requestor no more often than a given
+ * rate.
+ * 
+ * @example
+ * ```
+ * import parsec from "./parsec";
+ * 
+ * // The cheese API allows 10 requests per second, with bursts of up to 20
+ * const getCheese = parsec.rateLimit(cheeseRequestor, {
+ *     tokensPerInterval: 10,
+ *     interval: 1000,
+ *     burst: 20,
+ * 
+ *     // don't wait in line for more than 5 seconds
+ *     maxQueueWait: 5000
+ * });
+ * 
+ * const getCheeses = parsec.parallelMap(() => getCheese);
+ * ```
+ * 
+ * The rate is enforced with a token bucket which is shared by every call to
+ * the returned requestor. Each request uses one token. The bucket holds up to
+ * `burst` tokens and gains `tokensPerInterval` tokens every `interval`
+ * milliseconds. It starts full.
+ * 
+ * Calls made while the bucket is empty wait in a queue and are started in the
+ * order they were made. Cancelling a waiting call removes it from the queue.
+ * If `maxQueueWait` is given, a call which waits longer than that fails with a
+ * `ParsecRateLimitError` and does not use a token.
+ * 
+ * Unlike `throttle` and `createLimiter`, which limit how many requests run at
+ * once, this limits how many requests are started per unit of time.
+ * 
+ * @param {Function} requestor The requestor to rate limit.
+ * @param {Object} spec Configures rateLimit.
+ * @param {Number} spec.tokensPerInterval The number of requests allowed per
+ * interval.
+ * @param {Number} spec.interval The length of an interval in milliseconds.
+ * Defaults to 1000.
+ * @param {Number} spec.burst The most requests which can be made at once after
+ * a quiet period. Defaults to `tokensPerInterval`, or 1 if that is less.
+ * @param {Number} spec.maxQueueWait Optional. The longest a call may wait in
+ * the queue, in milliseconds.
+ * @returns {Function} A requestor.
+ */
+export function rateLimit(requestor, spec = {}) {
+    const {
+        tokensPerInterval,
+        interval = 1000,
+        burst = Math.max(1, tokensPerInterval),
+        maxQueueWait
+    } = spec;
+
+    const factoryName = FactoryName.RATE_LIMIT;
+
+    checkRequestors([requestor], factoryName);
+
+    [tokensPerInterval, interval].forEach(number => {
+        if (typeof number !== "number" || !(number > 0)
+            || number === Infinity)
+            throw new ParsecValidationError({
+                factoryName,
+                excuse: "tokensPerInterval and interval must be positive, " +
+                        "finite numbers!",
+                evidence: number
+            });
+    });
+
+    if (typeof burst !== "number" || !(burst >= 1) || burst === Infinity)
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "burst must be a finite number of at least 1!",
+            evidence: burst
+        });
+
+    if (exists(maxQueueWait) && (typeof maxQueueWait !== "number"
+                                 || !(maxQueueWait >= 0)))
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "maxQueueWait must be a nonnegative number!",
+            evidence: maxQueueWait
+        });
+
+    const site = captureSite();
+
+    // tokens gained per millisecond
+    const rate = tokensPerInterval / interval;
+
+    let tokens = burst;
+    let lastRefill = now();
+    let refillTimerId;
+    const queue = [];
+
+    function refill() {
+        const currentTime = now();
+        tokens = Math.min(burst, tokens + (currentTime - lastRefill) * rate);
+        lastRefill = currentTime;
+    }
+
+    /**
+     * Starts as many waiting calls as there are tokens for. If calls are
+     * still waiting, wakes up again when the next token arrives.
+     */
+    function drain() {
+        refill();
+
+        while (queue.length > 0 && tokens >= 1) {
+            tokens -= 1;
+            queue.shift()();
+        }
+
+        if (queue.length > 0 && !exists(refillTimerId))
+            refillTimerId = setTimer(() => {
+                refillTimerId = undefined;
+                drain();
+            }, Math.ceil((1 - tokens) / rate));
+    }
+
+    /**
+     * Removes a call from the queue.
+     * @param {Function} start The function which would start the call.
+     */
+    function dequeue(start) {
+        const index = queue.indexOf(start);
+        if (index >= 0) queue.splice(index, 1);
+
+        if (queue.length === 0 && exists(refillTimerId)) {
+            clearTimer(refillTimerId);
+            refillTimerId = undefined;
+        }
+    }
+
+    return function rateLimitedRequestor(receiver, message, signal) {
+        checkReceiver(receiver, factoryName);
+
+        let cancellor;
+        let waitTimerId;
+        let removeAbortListeners;
+        let done = false;
+        let started = false;
+
+        /**
+         * Stops waiting, if this call is waiting. Returns false if this call
+         * has already finished.
+         * @returns {Boolean}
+         */
+        function finish() {
+            if (done) return false;
+            done = true;
+
+            dequeue(start);
+            if (exists(waitTimerId)) {
+                clearTimer(waitTimerId);
+                waitTimerId = undefined;
+            }
+            if (exists(removeAbortListeners)) removeAbortListeners();
+            return true;
+        }
+
+        function cancel(reason) {
+            if (!finish() || !started) return;
+            try {
+                if (isFunction(cancellor)) cancellor(reason);
+            }
+            catch(exception) {/* ignore errors */}
+        }
+
+        function start() {
+            if (done) return;
+            started = true;
+
+            if (exists(waitTimerId)) {
+                clearTimer(waitTimerId);
+                waitTimerId = undefined;
+            }
+
+            try {
+                cancellor = checkContract(
+                    requestor, 
+                    factoryName, 
+                    undefined, 
+                    site
+                )(result => {
+                    if (!finish()) return;
+                    receiver(result);
+                }, message, signal);
+            }
+            catch(reason) {
+                if (finish()) receiver({ reason });
+            }
+        }
+
+        removeAbortListeners = onAbort([signal], cancel);
+        if (done) return cancel;
+
+        if (exists(maxQueueWait))
+            waitTimerId = setTimer(() => {
+                waitTimerId = undefined;
+                if (!finish()) return;
+
+                receiver({
+                    reason: new ParsecRateLimitError({
+                        factoryName,
+                        excuse: "Waited too long for the rate limit!",
+                        evidence: maxQueueWait
+                    })
+                });
+            }, maxQueueWait);
+
+        queue.push(start);
+        drain();
+
+        return cancel;
+    };
+}
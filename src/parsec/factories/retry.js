@@ -0,0 +1,305 @@
+import { FactoryName, Backoff, allBackoffs } from "../lib/constants.js";
+import {
+    exists,
+    isFunction,
+    checkRequestors,
+    checkReceiver,
+    onAbort,
+    createAbortReason
+} from "../lib/utils.js";
+import { 
+    ParsecCancelError, 
+    ParsecTimeoutError, 
+    ParsecValidationError 
+} from "../lib/errors.js";
+import { setTimer, clearTimer } from "../lib/scheduler.js";
+import { captureSite, checkContract } from "../lib/strict.js";
+
+/**
+ * Creates a requestor which executes a requestor again if it fails.
+ * 
+ * @example
+ * ```
+ * import parsec from "./parsec";
+ * import { createFetchRequestor } from "./example-utils";
+ * 
+ * const flakyCheeseRequestor = createFetchRequestor("https://cheese.com/api/cheeses");
+ * 
+ * const cheeseRequestor = parsec.retry(flakyCheeseRequestor, {
+ *     maxAttempts: 5,
+ *     backoff: parsec.Backoff.EXPONENTIAL,
+ *     delay: 100,
+ * 
+ *     // don't bother retrying requests the server will always reject
+ *     shouldRetry: reason => reason.statusCode !== 400
+ * });
+ * 
+ * // make request
+ * cheeseRequestor(({ value, reason }) => {
+ *     if (value === undefined) {
+ *         console.log("Failure because", reason);
+ *         return;
+ *     }
+ * 
+ *     console.log("Here's the cheese:", value);
+ * });
+ * ```
+ * 
+ * Each attempt receives the same message. The requestor succeeds as soon as any
+ * attempt succeeds. It fails with the reason of the last attempt if every
+ * attempt fails, or if `spec.shouldRetry` decides a failure should not be
+ * retried.
+ * 
+ * An optional time limit can be provided. It applies to all attempts
+ * collectively, including the time spent waiting between attempts.
+ * 
+ * Calling the cancellor cancels the attempt in progress as well as any pending
+ * wait before the next attempt.
+ * 
+ * @param {Function} requestor The requestor to retry.
+ * @param {Object} spec Configures retry.
+ * @param {Number} spec.maxAttempts The maximum number of times the requestor
+ * is executed. Defaults to 3.
+ * @param {String} spec.backoff Determines how long to wait between attempts.
+ * See the documentation for the `Backoff` object. Defaults to
+ * `Backoff.FIXED`.
+ * @param {Number} spec.delay The wait, in milliseconds, before the second
+ * attempt. `spec.backoff` determines the wait before subsequent attempts.
+ * Defaults to 0.
+ * @param {Number} spec.maxDelay An upper bound, in milliseconds, on the wait
+ * between attempts. Optional.
+ * @param {Function} spec.shouldRetry Takes the reason of a failed attempt and
+ * the number of attempts made so far. Return false to fail immediately instead
+ * of retrying. By default, every failure is retried.
+ * @param {Number} spec.timeLimit Optional. A time limit in milliseconds for all
+ * attempts.
+ * @param {AbortSignal} spec.signal Optional. Aborting this signal cancels the 
+ * retry, which fails with a `ParsecCancelError`.
+ * @returns {Function} A requestor. Calling this method starts the first
+ * attempt.
+ */
+export function retry(requestor, spec = {}) {
+    const {
+        maxAttempts = 3,
+        backoff = Backoff.FIXED,
+        delay = 0,
+        maxDelay = Infinity,
+        shouldRetry = () => true,
+        timeLimit,
+        signal
+    } = spec;
+
+    const factoryName = FactoryName.RETRY;
+
+    checkRequestors([requestor], factoryName);
+
+    if (!Number.isSafeInteger(maxAttempts) || maxAttempts < 1)
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "maxAttempts must be a positive, safe integer!",
+            evidence: maxAttempts
+        });
+
+    if (!allBackoffs.includes(backoff))
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "backoff must be one of: " + allBackoffs.join(", "),
+            evidence: backoff
+        });
+
+    [delay, maxDelay].forEach(wait => {
+        if (typeof wait !== "number" || Number.isNaN(wait) || wait < 0)
+            throw new ParsecValidationError({
+                factoryName,
+                excuse: "delay and maxDelay must be nonnegative numbers!",
+                evidence: wait
+            });
+    });
+
+    if (!isFunction(shouldRetry))
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "shouldRetry must be a function!",
+            evidence: shouldRetry
+        });
+
+    if (exists(timeLimit) && (typeof timeLimit !== "number" || timeLimit < 0))
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "timeLimit must be a number greater than 0!",
+            evidence: timeLimit
+        });
+
+    const site = captureSite();
+
+    /**
+     * Determines how long to wait after the given attempt fails.
+     * @param {Number} attempt The number of attempts made so far.
+     * @returns {Number}
+     */
+    function getDelay(attempt) {
+        const exponentialDelay = delay * 2 ** (attempt - 1);
+
+        const wait = backoff === Backoff.FIXED
+            ? delay
+            : backoff === Backoff.EXPONENTIAL
+            ? exponentialDelay
+            : Math.random() * exponentialDelay;
+
+        return Math.min(wait, maxDelay);
+    }
+
+    return function retryRequestor(receiver, message, callSignal) {
+        checkReceiver(receiver, factoryName);
+
+        let attempt = 0;
+        let cancellor;
+        let backoffTimerId;
+        let timerId;
+        let removeAbortListeners;
+
+        const DEFAULT_CANCEL_REASON = new ParsecCancelError({
+            factoryName,
+            excuse: "Cancel!"
+        });
+
+        /**
+         * Stops the attempt in progress and any pending attempt.
+         * Afterwards, nothing is sent to the receiver.
+         * @param {Reason} reason Optional. Given to the attempt's cancellor.
+         */
+        function cancel(reason = DEFAULT_CANCEL_REASON) {
+            if (exists(removeAbortListeners)) {
+                removeAbortListeners();
+                removeAbortListeners = undefined;
+            }
+
+            if (exists(timerId)) {
+                clearTimer(timerId);
+                timerId = undefined;
+            }
+
+            if (exists(backoffTimerId)) {
+                clearTimer(backoffTimerId);
+                backoffTimerId = undefined;
+            }
+
+            if (isFunction(cancellor)) {
+                try {
+                    cancellor(reason);
+                }
+                catch(exception) {/* ignore errors */}
+            }
+            cancellor = undefined;
+            receiver = undefined;
+        }
+
+        /**
+         * Sends the result to the receiver and cleans up.
+         * @param {Object} result
+         */
+        function finish(result) {
+            if (!exists(receiver)) return;
+
+            const finalReceiver = receiver;
+            cancel(result.reason);
+            finalReceiver(result);
+        }
+
+        /**
+         * Either schedules another attempt or fails.
+         * @param {Reason} reason The reason the latest attempt failed.
+         */
+        function handleFailure(reason) {
+            let tryAgain = false;
+            if (attempt < maxAttempts) {
+                try {
+                    tryAgain = Boolean(shouldRetry(reason, attempt));
+                }
+                catch(exception) {
+                    reason = exception;
+                }
+            }
+
+            if (!tryAgain) return finish({ reason });
+
+            backoffTimerId = setTimer(startAttempt, getDelay(attempt));
+        }
+
+        function startAttempt() {
+            backoffTimerId = undefined;
+            if (!exists(receiver)) return;
+
+            // Each attempt can only report once, and only while it is the
+            // current attempt.
+            let pending = true;
+            const currentAttempt = ++attempt;
+            const controller = new AbortController();
+
+            function isCurrent() {
+                return pending && currentAttempt === attempt
+                       && exists(receiver);
+            }
+
+            try {
+                const attemptCancellor = checkContract(
+                    requestor, 
+                    factoryName, 
+                    undefined, 
+                    site
+                )(({ value, reason }) => {
+                    if (!isCurrent()) return;
+                    pending = false;
+                    cancellor = undefined;
+
+                    if (exists(value)) return finish({ value, reason });
+                    handleFailure(reason);
+                }, message, controller.signal);
+
+                // The receiver may have been called synchronously, in which
+                // case this cancellor is stale.
+                if (isCurrent()) cancellor = reason => {
+                    try {
+                        if (isFunction(attemptCancellor)) 
+                            attemptCancellor(reason);
+                    }
+                    finally {
+                        controller.abort(reason);
+                    }
+                };
+            }
+            catch(reason) {
+                if (!isCurrent()) return;
+                pending = false;
+                handleFailure(reason);
+            }
+        }
+
+        if (exists(timeLimit) && timeLimit > 0) {
+            timerId = setTimer(() => {
+                timerId = undefined;
+                finish({
+                    reason: new ParsecTimeoutError({
+                        factoryName,
+                        excuse: "Time limit reached!",
+                        evidence: timeLimit
+                    })
+                });
+            }, timeLimit);
+        }
+
+        const removeCallListeners = onAbort([callSignal], cancel);
+        const removeSignalListener = onAbort([signal], signalReason => 
+            finish({ reason: createAbortReason(factoryName, signalReason) }));
+        if (exists(receiver))
+            removeAbortListeners = () => {
+                removeCallListeners();
+                removeSignalListener();
+            };
+        else removeCallListeners();
+
+        startAttempt();
+
+        return cancel;
+    };
+}
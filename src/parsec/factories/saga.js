@@ -0,0 +1,317 @@
+import { FactoryName } from "../lib/constants.js";
+import {
+    exists,
+    isFunction,
+    getArrayLength,
+    checkRequestors,
+    checkReceiver,
+    onAbort
+} from "../lib/utils.js";
+import {
+    ParsecAggregateError,
+    ParsecCancelError,
+    ParsecTimeoutError,
+    ParsecValidationError
+} from "../lib/errors.js";
+import { run } from "../lib/run.js";
+import { captureSite, checkContract, markChecked } from "../lib/strict.js";
+import { checkListener } from "../lib/instrument.js";
+import { checkLimiter } from "../lib/limiter.js";
+import { limitEach } from "./timeout.js";
+
+/**
+ * Calls actions in order like `sequence`, and undoes the completed actions if
+ * a later one fails.
+ *
+ * @example
+ * ```
+ * import parsec from "./parsec";
+ *
+ * const placeOrder = parsec.saga([
+ *     { action: reserveCheese, compensate: releaseCheese },
+ *     { action: chargeCard, compensate: refundCard },
+ *     { action: scheduleDelivery }
+ * ]);
+ *
+ * placeOrder(({ value, reason }) => {
+ *     if (value === undefined) {
+ *         // reason.errors[0] is why the order failed. Any other errors are
+ *         // compensations which also failed.
+ *         console.log("Failure because", reason.cause);
+ *         return;
+ *     }
+ *
+ *     console.log("Delivery scheduled:", value);
+ * }, order);
+ * ```
+ *
+ * Each step has an `action`, which is a requestor, and an optional
+ * `compensate` requestor. Each action is given the value of the action before
+ * it as its message, and the first is given the saga's message. The saga
+ * succeeds with the value of the last action.
+ *
+ * If an action fails, or the time limit is reached, the saga runs the
+ * compensations of the steps whose actions succeeded, one at a time, in
+ * reverse order. Each compensation is given the value of its action as its
+ * message. A compensation which fails does not stop the others. Once they are
+ * all done, the saga fails with a `ParsecAggregateError`. Its `cause` is the
+ * original failure. Its `errors` holds the original failure followed by the
+ * reasons of any compensations which failed, and its `evidence` holds the
+ * index of the step each of those reasons came from.
+ *
+ * Compensations are also run when the saga is cancelled, but since there is
+ * no receiver to tell, their failures are ignored. Cancelling a saga which is
+ * already being undone only stops the receiver from being called.
+ * Compensations can't be cancelled, and the time limits only apply to
+ * actions. If `spec.signal` aborts, the compensations are run and the saga
+ * fails as above, with a `ParsecCancelError` whose cause is the signal's
+ * reason as the original failure.
+ *
+ * @param {Object[]} steps An array of `{ action, compensate }` objects.
+ * @param {Object} spec Configures saga.
+ * @param {Number} spec.timeLimit Optional. A time limit in milliseconds for
+ * the actions.
+ * @param {Number|Number[]} spec.eachTimeLimit Optional. A time limit for each
+ * action. See the documentation for `parallel`.
+ * @param {AbortSignal} spec.signal Optional. Aborting this signal stops every
+ * saga started by the returned requestor.
+ * @param {Function} spec.instrument Optional. An instrumentation listener which
+ * only receives events from this factory's actions. See the documentation for
+ * `parsec.instrument`.
+ * @param {Object} spec.limiter Optional. A limiter created by
+ * `parsec.createLimiter`. Each action waits for a slot from it.
+ * @returns {Function} A requestor.
+ */
+export function saga(steps, spec = {}) {
+    const { timeLimit, eachTimeLimit, signal, instrument, limiter } = spec;
+
+    const factoryName = FactoryName.SAGA;
+    const site = captureSite();
+
+    getArrayLength(steps, factoryName);
+    if (!exists(steps)) steps = [];
+
+    steps.forEach(step => {
+        if (
+            typeof step !== "object"
+            || step === null
+            || (exists(step.compensate) && !isFunction(step.compensate))
+        )
+            throw new ParsecValidationError({
+                factoryName,
+                excuse: "Each step must be an object with an action and an " +
+                        "optional compensate requestor!",
+                evidence: step
+            });
+    });
+
+    checkRequestors(steps.map(step => step.action), factoryName);
+    checkRequestors(
+        steps.map(step => step.compensate).filter(exists),
+        factoryName
+    );
+
+    if (exists(instrument)) checkListener(instrument, factoryName);
+    if (exists(limiter)) checkLimiter(limiter, factoryName);
+
+    const actions = limitEach(
+        steps.map(step => step.action),
+        eachTimeLimit,
+        factoryName
+    );
+
+    return function sagaRequestor(receiver, initialMessage, callSignal) {
+        checkReceiver(receiver, factoryName);
+
+        if (steps.length === 0) {
+            receiver({ value: initialMessage });
+            return;
+        }
+
+        // The values of the actions which have succeeded
+        const values = [];
+
+        // Set once the saga starts to undo its steps, so that it is only 
+        // undone once.
+        let compensating = false;
+
+        // Each action is given the value of the one before it. In strict 
+        // mode, the action is checked rather than this wrapper, so that 
+        // violations name the action.
+        const requestors = actions.map((action, index) => markChecked(
+            function stepRequestor(stepReceiver, message, stepSignal) {
+                return checkContract(action, factoryName, index, site)(
+                    stepReceiver,
+                    index === 0 ? message : values[index - 1],
+                    stepSignal
+                );
+            }));
+
+        /**
+         * Runs the compensations of the completed steps in reverse order, then
+         * fails with the original reason if anyone is still listening.
+         * @param {Reason} reason The reason the saga is being undone.
+         * @param {Number} failedIndex The index of the step which was running.
+         */
+        function compensate(reason, failedIndex) {
+            compensating = true;
+
+            const errors = [reason];
+            const evidence = [failedIndex];
+            let index = values.length;
+
+            function finish() {
+                if (!exists(receiver)) return;
+
+                receiver({
+                    reason: new ParsecAggregateError({
+                        factoryName,
+                        excuse: errors.length === 1
+                            ? "A step failed, and the completed steps were " +
+                              "compensated!"
+                            : "A step failed, and so did some of the " +
+                              "compensations!",
+                        requestorIndex: failedIndex,
+                        evidence,
+                        cause: reason,
+                        errors
+                    })
+                });
+                receiver = undefined;
+            }
+
+            // A compensation which calls back synchronously would otherwise 
+            // start the next one from inside its own call, so they are started 
+            // in a loop instead, like the requestors in `run`.
+            let looping = false;
+            let settledInLoop = false;
+
+            function compensateNext() {
+                if (looping) {
+                    settledInLoop = true;
+                    return;
+                }
+
+                looping = true;
+                do {
+                    settledInLoop = false;
+
+                    index--;
+                    while (index >= 0 && !exists(steps[index].compensate)) 
+                        index--;
+                    if (index < 0) {
+                        looping = false;
+                        return finish();
+                    }
+
+                    startCompensation(index);
+                } while (settledInLoop);
+                looping = false;
+            }
+
+            /**
+             * Starts the compensation of a step. Once it settles, the next 
+             * one is started.
+             * @param {Number} stepIndex 
+             */
+            function startCompensation(stepIndex) {
+                let settled = false;
+
+                function settle({ value, reason }) {
+                    if (settled) return;
+                    settled = true;
+
+                    if (!exists(value)) {
+                        errors.push(reason);
+                        evidence.push(stepIndex);
+                    }
+                    compensateNext();
+                }
+
+                try {
+                    steps[stepIndex].compensate(
+                        settle,
+                        values[stepIndex],
+                        new AbortController().signal
+                    );
+                }
+                catch(reason) {
+                    settle({ reason });
+                }
+            }
+
+            compensateNext();
+        }
+
+        let removeAbortListeners;
+
+        function stopListening() {
+            if (exists(removeAbortListeners)) removeAbortListeners();
+        }
+
+        const cancel = run({
+            factoryName,
+            requestors,
+            initialMessage,
+            action({ value, reason, requestorIndex }) {
+                if (!exists(receiver)) return;
+
+                if (!exists(value)) {
+                    cancel(new ParsecCancelError({
+                        factoryName,
+                        excuse: "A step failed!",
+                        requestorIndex,
+                        cause: reason
+                    }));
+                    stopListening();
+                    return compensate(reason, requestorIndex);
+                }
+
+                values[requestorIndex] = value;
+                if (values.length === steps.length) {
+                    stopListening();
+                    receiver({ value });
+                    receiver = undefined;
+                }
+            },
+            timeout() {
+                const reason = new ParsecTimeoutError({
+                    factoryName,
+                    excuse: "Time limit reached!",
+                    evidence: timeLimit
+                });
+                cancel(reason);
+                stopListening();
+                compensate(reason, values.length);
+            },
+            aborted(reason) {
+                stopListening();
+                compensate(reason, values.length);
+            },
+            timeLimit,
+            throttle: 1,
+            signal,
+            instrument,
+            limiter,
+            site
+        });
+
+        function cancelSaga(reason) {
+            if (!exists(receiver)) return;
+            receiver = undefined;
+
+            // The compensations already running are left to finish, but 
+            // nobody is told how they went.
+            if (compensating) return;
+
+            stopListening();
+            cancel(reason);
+            compensate(reason, values.length);
+        }
+
+        if (exists(receiver))
+            removeAbortListeners = onAbort([callSignal], cancelSaga);
+
+        return cancelSaga;
+    };
+}
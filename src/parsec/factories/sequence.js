@@ -35,14 +35,27 @@ import { parallel } from "./parallel.js";
  * @param {Function[]} requestors An array of requestors.
  * @param {Object} spec Configures sequence.
  * @param {Number} spec.timeLimit The optional time limit.
+ * @param {Number|Number[]} spec.eachTimeLimit Optional. A time limit for each 
+ * requestor. See the documentation for `parallel`.
+ * @param {AbortSignal} spec.signal Optional. Aborting this signal cancels the 
+ * sequence, which fails with a `ParsecCancelError`.
+ * @param {Function} spec.instrument Optional. An instrumentation listener which 
+ * only receives events from this factory. See the documentation for 
+ * `parsec.instrument`.
+ * @param {Object} spec.limiter Optional. A limiter created by 
+ * `parsec.createLimiter`. See the documentation for `parallel`.
  * @returns {Function} The sequence requestor. Upon execution, starts the 
  * sequence.
  */
 export function sequence(requestors, spec = {}) {
-    const { timeLimit } = spec;
+    const { timeLimit, eachTimeLimit, signal, instrument, limiter } = spec;
 
     return parallel(requestors, {
         timeLimit,
+        eachTimeLimit,
+        signal,
+        instrument,
+        limiter,
         timeOption: TimeOption.SKIP_OPTIONALS_IF_TIME_REMAINS,
         throttle: 1,
         [__factoryName__]: FactoryName.SEQUENCE
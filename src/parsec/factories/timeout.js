@@ -0,0 +1,222 @@
+import { FactoryName } from "../lib/constants.js";
+import {
+    exists,
+    isFunction,
+    checkRequestors,
+    checkReceiver,
+    onAbort
+} from "../lib/utils.js";
+import { ParsecTimeoutError, ParsecValidationError } from "../lib/errors.js";
+import { setTimer, clearTimer } from "../lib/scheduler.js";
+import { captureSite, checkContract, markChecked } from "../lib/strict.js";
+
+/**
+ * Throws a reason if the provided time limit is not a nonnegative number.
+ * @param {any} timeLimit 
+ * @param {String} factoryName 
+ */
+function checkTimeLimit(timeLimit, factoryName) {
+    if (typeof timeLimit !== "number" || Number.isNaN(timeLimit) 
+        || timeLimit < 0)
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "timeLimit must be a number greater than 0!",
+            evidence: timeLimit
+        });
+}
+
+/**
+ * Creates a requestor which fails if the given requestor takes too long.
+ * The reason given to the receiver records which factory and which requestor 
+ * timed out.
+ * @param {Function} requestor 
+ * @param {Number} timeLimit A time limit in milliseconds. 0 means no limit.
+ * @param {String} factoryName The factory responsible for the time limit.
+ * @param {Number} requestorIndex Optional. The index of `requestor` in that 
+ * factory.
+ * @param {String} site Optional. Where that factory was called from. 
+ * @returns {Function} A requestor.
+ */
+function limitRequestor(
+    requestor, 
+    timeLimit, 
+    factoryName, 
+    requestorIndex, 
+    site
+) {
+    if (timeLimit === 0) return requestor;
+
+    // Only the first result gets past `settle`, so in strict mode the 
+    // requestor is checked here rather than by whoever starts this one.
+    return markChecked(function timeLimitedRequestor(
+        receiver, 
+        message, 
+        callSignal
+    ) {
+        checkReceiver(receiver, factoryName);
+
+        const controller = new AbortController();
+        let cancellor;
+        let timerId;
+        let removeAbortListeners;
+
+        function cancel(reason) {
+            if (exists(removeAbortListeners)) {
+                removeAbortListeners();
+                removeAbortListeners = undefined;
+            }
+
+            if (exists(timerId)) {
+                clearTimer(timerId);
+                timerId = undefined;
+            }
+
+            if (exists(receiver)) {
+                receiver = undefined;
+                try {
+                    if (isFunction(cancellor)) cancellor(reason);
+                }
+                catch(exception) {/* ignore errors */}
+                finally {
+                    controller.abort(reason);
+                }
+            }
+        }
+
+        timerId = setTimer(() => {
+            timerId = undefined;
+
+            const finalReceiver = receiver;
+            const reason = new ParsecTimeoutError({
+                factoryName,
+                excuse: "Requestor time limit reached!",
+                requestorIndex,
+                evidence: timeLimit
+            });
+
+            cancel(reason);
+            if (exists(finalReceiver)) finalReceiver({ reason });
+        }, timeLimit);
+
+        removeAbortListeners = onAbort([callSignal], cancel);
+
+        function settle(result) {
+            if (!exists(receiver)) return;
+
+            const finalReceiver = receiver;
+            receiver = undefined;
+            cancel();
+            finalReceiver(result);
+        }
+
+        try {
+            cancellor = checkContract(
+                requestor, 
+                factoryName, 
+                requestorIndex, 
+                site
+            )(settle, message, controller.signal);
+        }
+        catch(reason) {
+            settle({ reason });
+        }
+
+        return cancel;
+    });
+}
+
+/**
+ * Creates a requestor which fails if the given requestor does not finish 
+ * within a time limit.
+ * 
+ * @example
+ * ```
+ * import parsec from "./parsec";
+ * 
+ * // Don't let a slow ad server hold up the rest of the page
+ * const getPage = parsec.parallel([
+ *     getNav,
+ *     getUser,
+ *     parsec.timeout(getAds, 200)
+ * ]);
+ * ```
+ * 
+ * When the time limit is reached, the wrapped requestor is cancelled and the 
+ * receiver is given a `ParsecTimeoutError`. Inside a factory, this counts as 
+ * a failure of that one requestor, so only it is cancelled. This differs from 
+ * the `timeLimit` option of the factories, which applies to the factory's 
+ * requestors collectively.
+ * 
+ * @param {Function} requestor The requestor to limit.
+ * @param {Number} timeLimit A time limit in milliseconds. A `timeLimit` of 0 
+ * means no limit.
+ * @returns {Function} A requestor.
+ */
+export function timeout(requestor, timeLimit) {
+    const factoryName = FactoryName.TIMEOUT;
+    checkRequestors([requestor], factoryName);
+    checkTimeLimit(timeLimit, factoryName);
+    return limitRequestor(
+        requestor, 
+        timeLimit, 
+        factoryName, 
+        undefined, 
+        captureSite()
+    );
+}
+
+/**
+ * Creates a function which applies the `eachTimeLimit` option of a factory to 
+ * one of its requestors.
+ * `eachTimeLimit` can be a number, which applies to every requestor; an array, 
+ * whose numbers apply to the requestors at the same positions; or an object, 
+ * whose numbers apply to the requestors with the same keys. Missing entries 
+ * and entries of 0 mean no limit.
+ * @param {Number|Number[]|Object} eachTimeLimit 
+ * @param {String} factoryName 
+ * @param {String[]} keys Optional. The key of each requestor, if the factory 
+ * was given requestor maps.
+ * @returns {Function} Takes a requestor and its index, and returns the 
+ * requestor with a time limit if one was requested.
+ */
+export function createEachLimiter(eachTimeLimit, factoryName, keys) {
+    if (!exists(eachTimeLimit)) return requestor => requestor;
+
+    const site = captureSite();
+    let getTimeLimit;
+    if (typeof eachTimeLimit === "number") 
+        getTimeLimit = () => eachTimeLimit;
+    else if (Array.isArray(eachTimeLimit))
+        getTimeLimit = index => eachTimeLimit[index];
+    else if (typeof eachTimeLimit === "object" && exists(keys))
+        getTimeLimit = index => eachTimeLimit[keys[index]];
+    else
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "eachTimeLimit must be a number, an array, or, if " + 
+                    "requestors are given by key, an object!",
+            evidence: eachTimeLimit
+        });
+
+    return function limitOne(requestor, index) {
+        const timeLimit = getTimeLimit(index);
+        if (!exists(timeLimit)) return requestor;
+
+        checkTimeLimit(timeLimit, factoryName);
+        return limitRequestor(requestor, timeLimit, factoryName, index, site);
+    };
+}
+
+/**
+ * Applies the `eachTimeLimit` option of a factory to its requestors.
+ * See the documentation for `createEachLimiter`.
+ * @param {Function[]} requestors 
+ * @param {Number|Number[]|Object} eachTimeLimit 
+ * @param {String} factoryName 
+ * @param {String[]} keys Optional.
+ * @returns {Function[]} The requestors, with time limits where requested.
+ */
+export function limitEach(requestors, eachTimeLimit, factoryName, keys) {
+    if (!exists(eachTimeLimit)) return requestors;
+    return requestors.map(createEachLimiter(eachTimeLimit, factoryName, keys));
+}
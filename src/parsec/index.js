@@ -1,8 +1,35 @@
 import { parallel } from "./factories/parallel.js";
 import { sequence } from "./factories/sequence.js";
 import { race } from "./factories/race.js";
+import { hedge } from "./factories/hedge.js";
+import { quorum } from "./factories/quorum.js";
 import { fallback } from "./factories/fallback.js";
-import { TimeOption } from "./lib/constants.js";
+import { parallelMap } from "./factories/parallel-map.js";
+import { saga } from "./factories/saga.js";
+import { retry } from "./factories/retry.js";
+import { timeout } from "./factories/timeout.js";
+import { circuitBreaker } from "./factories/circuit-breaker.js";
+import { rateLimit } from "./factories/rate-limit.js";
+import { cache } from "./factories/cache.js";
+import { fromAsync } from "./factories/from-async.js";
+import { toPromise } from "./lib/to-promise.js";
+import { instrument, InstrumentEvent } from "./lib/instrument.js";
+import { createTracer, SpanOutcome } from "./lib/tracer.js";
+import { createLimiter } from "./lib/limiter.js";
+import { configure } from "./lib/configure.js";
+import { systemScheduler, createVirtualClock } from "./lib/scheduler.js";
+import { TimeOption, Backoff, CircuitState } from "./lib/constants.js";
+import {
+    ErrorCode,
+    ParsecError,
+    ParsecTimeoutError,
+    ParsecCancelError,
+    ParsecValidationError,
+    ParsecAggregateError,
+    ParsecCircuitOpenError,
+    ParsecRateLimitError,
+    ParsecContractError
+} from "./lib/errors.js";
 
 /**
  * Parsec is a utility for managing asynchronous code.
@@ -30,6 +57,35 @@ import { TimeOption } from "./lib/constants.js";
  * to the next.
  *  - `parsec.fallback` creates a requestor which performs a series of 
  * requestors in order and succeeds once any requestor succeeds.
+ *  - `parsec.parallelMap` creates a requestor which takes an array (or other 
+ * iterable) message and concurrently executes one requestor per element.
+ *  - `parsec.hedge` creates a requestor which races requestors, starting each 
+ * one only if the ones before it have not succeeded after a delay.
+ *  - `parsec.quorum` creates a requestor which concurrently executes 
+ * requestors and succeeds once a given number of them succeed.
+ *  - `parsec.saga` creates a requestor which performs a series of steps in 
+ * order like `parsec.sequence`, and undoes the completed steps if a later one 
+ * fails.
+ * 
+ * Parsec also provides factories which wrap a single requestor.
+ * 
+ *  - `parsec.retry` creates a requestor which executes a requestor again, after
+ * an optional wait, whenever it fails.
+ *  - `parsec.timeout` creates a requestor which fails if a requestor does not 
+ * finish within a time limit.
+ *  - `parsec.circuitBreaker` creates a requestor which fails immediately, 
+ * without making a request, after a requestor fails too many times in a row.
+ *  - `parsec.rateLimit` creates a requestor which executes a requestor no more 
+ * often than a given rate.
+ *  - `parsec.cache` creates a requestor which remembers the results of a 
+ * requestor, and shares one request among identical calls made at once.
+ * 
+ * Parsec can bridge requestors and promises.
+ * 
+ *  - `parsec.toPromise` executes a requestor and returns a promise for its 
+ * value.
+ *  - `parsec.fromAsync` creates a requestor from an async function. The async 
+ * function is not called until the requestor is called.
  * 
  * Each method returns a requestor. This means that parsec factories can be 
  * easily composed.
@@ -37,13 +93,71 @@ import { TimeOption } from "./lib/constants.js";
  * `parsec.TimeOption` is used to configure behavior for `parsec.parallel`. See 
  * the documentation for `parsec.parallel` and `parsec.TimeOption`.
  * 
+ * `parsec.Backoff` is used to configure the wait between attempts in 
+ * `parsec.retry`. See the documentation for `parsec.Backoff`.
+ * 
+ * Every reason created by parsec is an instance of `parsec.ParsecError`. Its 
+ * subclasses `ParsecTimeoutError`, `ParsecCancelError`, 
+ * `ParsecValidationError`, `ParsecAggregateError`, `ParsecCircuitOpenError`, 
+ * `ParsecRateLimitError` and `ParsecContractError` describe the kind of 
+ * failure, and each has a stable `code` found in `parsec.ErrorCode`.
+ * 
+ * `parsec.instrument` adds a listener which is told when each requestor inside 
+ * a factory starts, settles, throws or is cancelled, and when a factory times 
+ * out. See the documentation for `parsec.instrument` and 
+ * `parsec.InstrumentEvent`.
+ * 
+ * `parsec.createTracer` creates a tracer which turns instrumentation events 
+ * from nested compositions into a single span tree that can be exported in 
+ * the Chrome trace-event format.
+ * 
+ * `parsec.createLimiter` creates a limiter which caps the number of requestors 
+ * running at once across every factory and requestor which shares it.
+ * 
+ * `parsec.configure` changes settings for all of parsec. Its `scheduler` 
+ * setting replaces the timers and clock parsec uses. Its `strict` setting 
+ * reports requestors which break the requestor contract. 
+ * `parsec.createVirtualClock` creates a scheduler whose time only passes when 
+ * told to, so tests of time limits and throttling run instantly. 
+ * `parsec.systemScheduler` is the default scheduler.
+ * 
  */
 const parsec = Object.freeze({
     parallel,
     race,
     fallback,
     sequence,
-    TimeOption
+    parallelMap,
+    saga,
+    hedge,
+    quorum,
+    retry,
+    timeout,
+    circuitBreaker,
+    rateLimit,
+    cache,
+    fromAsync,
+    toPromise,
+    instrument,
+    createTracer,
+    createLimiter,
+    configure,
+    createVirtualClock,
+    systemScheduler,
+    TimeOption,
+    Backoff,
+    CircuitState,
+    InstrumentEvent,
+    SpanOutcome,
+    ErrorCode,
+    ParsecError,
+    ParsecTimeoutError,
+    ParsecCancelError,
+    ParsecValidationError,
+    ParsecAggregateError,
+    ParsecCircuitOpenError,
+    ParsecRateLimitError,
+    ParsecContractError
 });
 
 export default parsec;
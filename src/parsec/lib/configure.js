@@ -0,0 +1,94 @@
+import { FactoryName } from "./constants.js";
+import { ParsecValidationError } from "./errors.js";
+import { checkScheduler, setScheduler } from "./scheduler.js";
+import { setStrict, setViolationListener } from "./strict.js";
+import { exists, isFunction } from "./utils.js";
+
+/**
+ * Changes settings which apply to all of parsec.
+ *
+ * @example
+ * ```
+ * import parsec from "./parsec";
+ *
+ * const clock = parsec.createVirtualClock();
+ * parsec.configure({ scheduler: clock });
+ * ```
+ *
+ * Only the settings which are given are changed.
+ *
+ * `scheduler` replaces the timers and clock used by every factory, by
+ * `run`'s throttling and time limits, by limiters, and by instrumentation. A
+ * scheduler is an object with the following methods:
+ *
+ *  - `queue(callback, ...args)`: Optional. Calls `callback` with `args` as 
+ * soon as the current call stack has finished. If it is missing, 
+ * `setTimeout` is used with no delay.
+ *  - `setTimeout(callback, delay, ...args)`: Calls `callback` with `args`
+ * after `delay` milliseconds. Returns a handle.
+ *  - `clearTimeout(handle)`: Stops a callback from being called.
+ *  - `now()`: Returns the current time in milliseconds.
+ *
+ * `parsec.systemScheduler` is the scheduler used by default, and
+ * `parsec.createVirtualClock` creates a scheduler for tests. Timers which
+ * were set before the scheduler changed are still run, and cleared, by the
+ * scheduler which set them.
+ *
+ * `strict` turns on checks for requestors which break the requestor contract. 
+ * Every requestor started by `parallel`, `race` and the factories built on 
+ * them, or wrapped by `timeout`, `retry`, `circuitBreaker`, `rateLimit` or 
+ * `cache`, is checked, and any requestor which calls its receiver more than 
+ * once, calls it with something other than a `{ value, reason }` object, 
+ * throws after calling it, or returns a cancellor which is not a function is 
+ * reported with a `ParsecContractError`. Each report names the requestor and 
+ * its index, if it has one, and includes the stack of the code which called 
+ * the factory, if strict mode was on then. Strict mode can also be turned on 
+ * before anything runs by setting the `PARSEC_STRICT` environment variable to 
+ * `1`. It slows every request down, so it is meant for development.
+ *
+ * `onViolation` is given each `ParsecContractError` in strict mode. By 
+ * default, they are logged with `console.warn`.
+ *
+ * @param {Object} options
+ * @param {Object} options.scheduler Optional. The scheduler to use.
+ * @param {Boolean} options.strict Optional. Whether requestors are checked.
+ * @param {Function} options.onViolation Optional. Takes a contract violation. 
+ * If undefined, the default is restored.
+ */
+export function configure(options) {
+    const factoryName = FactoryName.CONFIGURE;
+
+    if (options === null || typeof options !== "object")
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "configure must be given an object!",
+            evidence: options
+        });
+
+    if (Object.hasOwn(options, "scheduler")) {
+        checkScheduler(options.scheduler, factoryName);
+        setScheduler(options.scheduler);
+    }
+
+    if (Object.hasOwn(options, "strict")) {
+        if (typeof options.strict !== "boolean")
+            throw new ParsecValidationError({
+                factoryName,
+                excuse: "strict must be a boolean!",
+                evidence: options.strict
+            });
+
+        setStrict(options.strict);
+    }
+
+    if (Object.hasOwn(options, "onViolation")) {
+        if (exists(options.onViolation) && !isFunction(options.onViolation))
+            throw new ParsecValidationError({
+                factoryName,
+                excuse: "onViolation must be a function!",
+                evidence: options.onViolation
+            });
+
+        setViolationListener(options.onViolation);
+    }
+}
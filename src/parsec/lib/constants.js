@@ -2,7 +2,23 @@ export const FactoryName = Object.freeze({
     SEQUENCE: "sequence",
     PARALLEL: "parallel",
     FALLBACK: "fallback",
-    RACE: "race"
+    RACE: "race",
+    RETRY: "retry",
+    PARALLEL_MAP: "parallelMap",
+    TIMEOUT: "timeout",
+    CIRCUIT_BREAKER: "circuitBreaker",
+    LIMITER: "limiter",
+    RATE_LIMIT: "rateLimit",
+    FROM_ASYNC: "fromAsync",
+    TO_PROMISE: "toPromise",
+    CONFIGURE: "configure",
+    VIRTUAL_CLOCK: "virtualClock",
+    TESTING: "testing",
+    CACHE: "cache",
+    SAGA: "saga",
+    HEDGE: "hedge",
+    QUORUM: "quorum",
+    TRACER: "tracer"
 });
 
 /**
@@ -11,7 +27,11 @@ export const FactoryName = Object.freeze({
  * 
  *  - `"SKIP_OPTIONALS_IF_TIME_REMAINS"`: The optionals must finish before the 
  * necessities. The necessities must finish before the time limit if it is 
- * given.
+ * given. When the time limit is reached, everything still running is 
+ * cancelled, and the request fails with a `ParsecTimeoutError` if a 
+ * necessity had not finished. This is also how a `parallel` without 
+ * optionals behaves. Earlier versions of parsec ignored the time limit with 
+ * this option, and kept waiting.
  *  - `"TRY_OPTIONALS_IF_TIME_REMAINS"`: If the necessities finish and there are 
  * still some optionals left, keep doing optionals until the time limit is 
  * reached.
@@ -25,6 +45,43 @@ export const TimeOption = Object.freeze({
     REQUIRE_NECESSITIES: "require necessities"
 });
 
-export const allTimeOptions = Object.freeze(Object.keys(TimeOption));
+export const allTimeOptions = Object.freeze(Object.values(TimeOption));
+
+/**
+ * Determines how long `retry` waits between attempts.
+ * There are three keys in Backoff:
+ * 
+ *  - `"FIXED"`: Wait `delay` milliseconds before every attempt.
+ *  - `"EXPONENTIAL"`: Double the wait after each failed attempt, starting at 
+ * `delay` milliseconds.
+ *  - `"JITTERED"`: Wait a random amount of time between 0 and the exponential 
+ * wait. This spreads out retries from many callers that failed at once.
+ */
+export const Backoff = Object.freeze({
+    FIXED: "fixed",
+    EXPONENTIAL: "exponential",
+    JITTERED: "jittered"
+});
+
+export const allBackoffs = Object.freeze(Object.values(Backoff));
+
+/**
+ * The states of a requestor created by `circuitBreaker`.
+ * There are three keys in CircuitState:
+ * 
+ *  - `"CLOSED"`: Requests are made normally. Consecutive failures are counted.
+ *  - `"OPEN"`: Too many consecutive failures occurred. Requests fail 
+ * immediately without being made.
+ *  - `"HALF_OPEN"`: The reset timeout has passed since the circuit opened. A 
+ * limited number of trial requests are made. If one succeeds, the circuit 
+ * closes. If one fails, the circuit opens again.
+ */
+export const CircuitState = Object.freeze({
+    CLOSED: "closed",
+    OPEN: "open",
+    HALF_OPEN: "half open"
+});
 
 export const __factoryName__ = Symbol("factoryName");
+export const __shouldFallback__ = Symbol("shouldFallback");
+export const __delays__ = Symbol("delays");
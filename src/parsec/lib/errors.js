@@ -0,0 +1,148 @@
+/**
+ * Stable identifiers for each kind of failure parsec can produce.
+ * Receivers can compare `reason.code` against these values instead of
+ * inspecting error messages.
+ * 
+ *  - `"TIMEOUT"`: A time limit was reached.
+ *  - `"CANCEL"`: A request was cancelled, either explicitly or because parsec
+ * no longer needed its result.
+ *  - `"VALIDATION"`: A factory, requestor or receiver was given bad arguments.
+ *  - `"AGGREGATE"`: Several failures occurred. They are listed in `errors`.
+ *  - `"CIRCUIT_OPEN"`: A circuit breaker refused to make a request.
+ *  - `"RATE_LIMIT"`: A rate limited request waited too long to be made.
+ *  - `"CONTRACT"`: In strict mode, a requestor broke the requestor contract.
+ */
+export const ErrorCode = Object.freeze({
+    TIMEOUT: "PARSEC_TIMEOUT",
+    CANCEL: "PARSEC_CANCEL",
+    VALIDATION: "PARSEC_VALIDATION",
+    AGGREGATE: "PARSEC_AGGREGATE",
+    CIRCUIT_OPEN: "PARSEC_CIRCUIT_OPEN",
+    RATE_LIMIT: "PARSEC_RATE_LIMIT",
+    CONTRACT: "PARSEC_CONTRACT"
+});
+
+/**
+ * The base class of every reason created by parsec.
+ * 
+ * @example
+ * ```
+ * cheeseRequestor(({ value, reason }) => {
+ *     if (value === undefined) {
+ *         if (reason.code === parsec.ErrorCode.TIMEOUT)
+ *             return console.log("Too slow! Limit was", reason.evidence);
+ * 
+ *         return console.log("Failure because", reason);
+ *     }
+ * 
+ *     console.log("Here's the cheese:", value);
+ * });
+ * ```
+ * 
+ * The message has the form `"parsec.<factoryName>: <excuse>"`.
+ */
+export class ParsecError extends Error {
+    /**
+     * @param {Object} spec Configures the reason.
+     * @param {String} spec.factoryName The factory which created the reason.
+     * @param {String} spec.excuse A description of what went wrong.
+     * @param {Number} spec.requestorIndex Optional. The index of the requestor
+     * the reason concerns.
+     * @param {any} spec.evidence Optional. Whatever the caller needs it to be.
+     * @param {any} spec.cause Optional. The reason which caused this reason.
+     */
+    constructor(spec = {}) {
+        const { factoryName, excuse, requestorIndex, evidence, cause } = spec;
+
+        super(
+            `parsec.${factoryName}` + (excuse === undefined ? "" : `: ${excuse}`),
+            cause === undefined ? undefined : { cause }
+        );
+
+        this.name = new.target.name;
+        this.code = new.target.code;
+        this.factoryName = factoryName;
+        this.requestorIndex = requestorIndex;
+        this.evidence = evidence;
+    }
+}
+
+/**
+ * A time limit was reached. `evidence` holds the time limit.
+ */
+export class ParsecTimeoutError extends ParsecError {
+    static code = ErrorCode.TIMEOUT;
+}
+
+/**
+ * A request was cancelled. If the cancellation was caused by another failure,
+ * that failure is the `cause`.
+ */
+export class ParsecCancelError extends ParsecError {
+    static code = ErrorCode.CANCEL;
+}
+
+/**
+ * A factory, requestor or receiver was given bad arguments. `evidence` holds
+ * the offending value.
+ */
+export class ParsecValidationError extends ParsecError {
+    static code = ErrorCode.VALIDATION;
+}
+
+/**
+ * Several failures occurred.
+ * Like the native `AggregateError`, the individual reasons are stored in the
+ * `errors` array.
+ */
+export class ParsecAggregateError extends ParsecError {
+    static code = ErrorCode.AGGREGATE;
+
+    /**
+     * @param {Object} spec Accepts every option `ParsecError` accepts.
+     * @param {any[]} spec.errors The reasons being aggregated.
+     */
+    constructor(spec = {}) {
+        super(spec);
+        this.errors = spec.errors === undefined ? [] : [...spec.errors];
+    }
+}
+
+/**
+ * A circuit breaker refused to make a request because its circuit is open. 
+ * `evidence` holds the state of the circuit.
+ */
+export class ParsecCircuitOpenError extends ParsecError {
+    static code = ErrorCode.CIRCUIT_OPEN;
+}
+
+/**
+ * A rate limited request waited in the queue longer than it was allowed to. 
+ * `evidence` holds the maximum wait.
+ */
+export class ParsecRateLimitError extends ParsecError {
+    static code = ErrorCode.RATE_LIMIT;
+}
+
+/**
+ * A requestor broke the requestor contract. These are only created in strict 
+ * mode, and are given to the violation listener. If the requestor called its 
+ * receiver with something which is not an object at all, the receiver is 
+ * given the violation as the reason as well. `evidence` holds the offending 
+ * value. See the documentation for `parsec.configure`.
+ */
+export class ParsecContractError extends ParsecError {
+    static code = ErrorCode.CONTRACT;
+
+    /**
+     * @param {Object} spec Accepts every option `ParsecError` accepts.
+     * @param {String} spec.requestorName The name of the offending requestor.
+     * @param {String} spec.site Optional. Where the factory which started the 
+     * requestor was called from.
+     */
+    constructor(spec = {}) {
+        super(spec);
+        this.requestorName = spec.requestorName;
+        this.site = spec.site;
+    }
+}
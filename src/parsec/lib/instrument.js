@@ -0,0 +1,159 @@
+import { exists, isFunction } from "./utils.js";
+import { ParsecValidationError } from "./errors.js";
+import { now } from "./scheduler.js";
+
+/**
+ * The types of events emitted to instrumentation listeners.
+ * There are five keys in InstrumentEvent:
+ * 
+ *  - `"START"`: A requestor was started.
+ *  - `"SETTLE"`: A requestor called its receiver. The event contains the
+ * `value` and `reason`.
+ *  - `"CANCEL"`: A requestor which had not settled was cancelled. The event
+ * contains the cancel `reason`.
+ *  - `"TIMEOUT"`: The time limit of a factory was reached. This event has no
+ * `requestorIndex`.
+ *  - `"THROW"`: A requestor threw instead of calling its receiver. The event
+ * contains the thrown `reason`.
+ */
+export const InstrumentEvent = Object.freeze({
+    START: "start",
+    SETTLE: "settle",
+    CANCEL: "cancel",
+    TIMEOUT: "timeout",
+    THROW: "throw"
+});
+
+const globalListeners = new Set();
+
+let nextRunId = 0;
+
+// The requestor, if any, which is currently being started by an instrumented 
+// execution of `run`. Executions of `run` which begin while it is set are 
+// nested inside of it.
+let currentParent;
+
+/**
+ * Adds a listener which receives instrumentation events from every factory.
+ * 
+ * @example
+ * ```
+ * import parsec from "./parsec";
+ * 
+ * const stopListening = parsec.instrument(event => {
+ *     if (event.type === parsec.InstrumentEvent.SETTLE && event.duration > 1000)
+ *         console.log(
+ *             `requestor ${event.requestorIndex} in ${event.factoryName} ` +
+ *             `took ${event.duration}ms`
+ *         );
+ * });
+ * 
+ * // later
+ * stopListening();
+ * ```
+ * 
+ * Every event has the following properties:
+ * 
+ *  - `type`: One of the values in `InstrumentEvent`.
+ *  - `factoryName`: The name of the factory whose requestor emitted the event.
+ *  - `runId`: A number which identifies one execution of a factory's
+ * requestor. Events with the same `runId` come from the same execution.
+ *  - `requestorIndex`: The index of the requestor the event concerns.
+ *  - `parentRunId` and `parentRequestorIndex`: If this execution was started 
+ * by a requestor inside another instrumented execution, these identify that 
+ * requestor. Otherwise they are undefined. Nesting can only be detected when 
+ * the inner factory's requestor is called synchronously by the outer one.
+ *  - `time`: A timestamp in milliseconds from the scheduler's clock, which is 
+ * `performance.now()` unless another scheduler is configured.
+ * 
+ * `SETTLE`, `CANCEL` and `THROW` events also have a `duration`, which is the
+ * number of milliseconds since the requestor started.
+ * 
+ * Listeners are collected when a factory's requestor is executed, so adding a
+ * listener does not affect requests which are already running. Errors thrown
+ * by listeners are ignored. When no listener exists, instrumentation does no
+ * work at all.
+ * 
+ * @param {Function} listener Takes an event object.
+ * @returns {Function} Removes the listener.
+ */
+export function instrument(listener) {
+    checkListener(listener);
+    globalListeners.add(listener);
+    return function removeListener() {
+        globalListeners.delete(listener);
+    };
+}
+
+/**
+ * Throws a reason if the provided listener is not a function.
+ * @param {Function} listener
+ * @param {String} factoryName
+ */
+export function checkListener(listener, factoryName = "instrument") {
+    if (!isFunction(listener))
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "An instrumentation listener must be a function!",
+            evidence: listener
+        });
+}
+
+/**
+ * Creates an emitter for one execution of `run`.
+ * If there are no global listeners and no `listener` is provided, then
+ * `undefined` is returned so `run` can skip instrumentation entirely.
+ * @param {String} factoryName
+ * @param {Function} listener Optional. A listener from a factory's spec.
+ * @returns {Function|undefined} Takes a partial event and sends the complete
+ * event to every listener. Returns the time of the event. The emitter also has 
+ * an `asParentOf` method which takes a requestor and its index, and returns a 
+ * requestor which marks itself as the parent of any execution of `run` that it 
+ * starts synchronously.
+ */
+export function createEmitter(factoryName, listener) {
+    if (globalListeners.size === 0 && !exists(listener)) return;
+
+    const listeners = [...globalListeners];
+    if (exists(listener)) listeners.push(listener);
+
+    const runId = nextRunId++;
+    const parent = currentParent;
+
+    function emit(event) {
+        const fullEvent = Object.freeze({
+            factoryName,
+            runId,
+            parentRunId: exists(parent) ? parent.runId : undefined,
+            parentRequestorIndex: exists(parent) 
+                ? parent.requestorIndex 
+                : undefined,
+            time: now(),
+            ...event
+        });
+
+        listeners.forEach(eventListener => {
+            try {
+                eventListener(fullEvent);
+            }
+            catch(exception) {/* ignore errors */}
+        });
+
+        return fullEvent.time;
+    }
+
+    emit.asParentOf = function (requestor, requestorIndex) {
+        return function (receiver, message, signal) {
+            const previousParent = currentParent;
+            currentParent = { runId, requestorIndex };
+            try {
+                return requestor(receiver, message, signal);
+            }
+            finally {
+                currentParent = previousParent;
+            }
+        };
+    };
+
+    return emit;
+}
@@ -0,0 +1,272 @@
+import { FactoryName } from "./constants.js";
+import { ParsecValidationError } from "./errors.js";
+import {
+    exists,
+    isFunction,
+    immediatelyQueue,
+    checkRequestors,
+    checkReceiver,
+    onAbort
+} from "./utils.js";
+import { checkPriority, evaluatePriority } from "./priority.js";
+import { now } from "./scheduler.js";
+
+/**
+ * Creates a limiter which caps how many requestors run at once, across every
+ * caller which shares it.
+ * 
+ * @example
+ * ```
+ * import parsec from "./parsec";
+ * 
+ * // The cheese API allows 5 connections per client
+ * const cheeseLimiter = parsec.createLimiter(5);
+ * 
+ * // Both requestors share the same 5 connections, no matter how many times
+ * // they are called at once.
+ * const getCheeses = parsec.parallel(cheeseRequestors, {
+ *     limiter: cheeseLimiter
+ * });
+ * const getCheddar = cheeseLimiter.wrap(cheddarRequestor);
+ * ```
+ * 
+ * The `throttle` option of the factories only limits the requestors started by
+ * one call to a factory's requestor. A limiter is a semaphore: it has a fixed
+ * number of slots, and requestors which want a slot while all slots are taken
+ * wait in a queue.
+ * 
+ * When a slot is released, it goes to the waiting requestor with the highest
+ * priority. Requestors with equal priorities get slots in the order they
+ * asked for them. A priority is a number, where higher numbers go first, or a
+ * function which returns one. Priority functions are evaluated again every
+ * time a slot is handed out, so a waiting request can be promoted while it
+ * waits. So that low priority requestors are not starved by a steady stream of
+ * high priority ones, a waiting requestor gains one priority level for every
+ * `agingInterval` milliseconds it has waited.
+ * 
+ * @example
+ * ```
+ * const imageLimiter = parsec.createLimiter(4);
+ * 
+ * // Images the user is looking at jump ahead of prefetched images
+ * const getImage = imageLimiter.wrap(imageRequestor, ({ url }) => 
+ *     isOnScreen(url) ? 10 : 0
+ * );
+ * ```
+ * 
+ * A slot is released when its requestor calls its receiver, throws, or is
+ * cancelled. A requestor which is cancelled while waiting simply leaves the
+ * queue.
+ * 
+ * The limiter has the following properties:
+ * 
+ *  - `capacity`: The number of slots.
+ *  - `active`: The number of slots currently taken.
+ *  - `pending`: The number of requestors waiting for a slot.
+ *  - `wrap(requestor, priority)`: Returns a requestor which waits for a slot
+ * before executing `requestor`. `priority` is optional. If it is a function,
+ * it is given the message of each request.
+ *  - `acquire(callback, priority)`: A lower-level method. `callback` is called
+ * with a `release` function once a slot is available; call `release` when
+ * done with the slot. `priority` is optional. If it is a function, it is given
+ * no arguments. Returns a function which withdraws the request if the slot has
+ * not been granted yet.
+ * 
+ * A limiter can also be given to any factory with `spec.limiter`, in which
+ * case every requestor the factory starts waits for a slot. The factory's
+ * `priorities` option also applies to the limiter.
+ * 
+ * @param {Number} capacity The number of requestors which can run at once.
+ * @param {Object} spec Configures createLimiter.
+ * @param {Number} spec.agingInterval The number of milliseconds a requestor
+ * must wait to gain one priority level. Defaults to 1000. Use `Infinity` to
+ * turn aging off.
+ * @returns {Object} The limiter.
+ */
+export function createLimiter(capacity, spec = {}) {
+    const { agingInterval = 1000 } = spec;
+
+    const factoryName = FactoryName.LIMITER;
+
+    if (!Number.isSafeInteger(capacity) || capacity < 1)
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "capacity must be a positive, safe integer!",
+            evidence: capacity
+        });
+
+    if (typeof agingInterval !== "number" || !(agingInterval > 0))
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "agingInterval must be a positive number!",
+            evidence: agingInterval
+        });
+
+    let active = 0;
+    const queue = [];
+
+    /**
+     * Removes and returns the callback of the waiting request with the
+     * highest priority, counting the priority it has gained by waiting.
+     * @returns {Function}
+     */
+    function takeNext() {
+        const currentTime = now();
+        let bestIndex = 0;
+        let bestPriority = -Infinity;
+
+        queue.forEach(({ priority, enqueuedAt }, index) => {
+            const waited = currentTime - enqueuedAt;
+            const effectivePriority = evaluatePriority(priority)
+                                      + waited / agingInterval;
+
+            // Ties go to the request which has waited longest
+            if (effectivePriority > bestPriority) {
+                bestIndex = index;
+                bestPriority = effectivePriority;
+            }
+        });
+
+        return queue.splice(bestIndex, 1)[0].callback;
+    }
+
+    /**
+     * Gives a slot to the callback.
+     * The slot is counted immediately, but the callback is called in the event
+     * queue so that long chains of synchronous requestors cannot overflow the
+     * stack.
+     * @param {Function} callback
+     * @param {Boolean} synchronously Whether the callback should be called
+     * immediately.
+     */
+    function grant(callback, synchronously) {
+        active++;
+
+        let released = false;
+        function release() {
+            if (released) return;
+            released = true;
+            active--;
+
+            if (queue.length > 0) grant(takeNext(), false);
+        }
+
+        if (synchronously) callback(release);
+        else immediatelyQueue(callback, release);
+    }
+
+    function acquire(callback, priority) {
+        if (!isFunction(callback))
+            throw new ParsecValidationError({
+                factoryName,
+                excuse: "acquire must be given a function!",
+                evidence: callback
+            });
+
+        if (exists(priority)) checkPriority(priority, factoryName);
+
+        if (active < capacity) {
+            grant(callback, true);
+            return () => {};
+        }
+
+        const entry = { callback, priority, enqueuedAt: now() };
+        queue.push(entry);
+        return function withdraw() {
+            const index = queue.indexOf(entry);
+            if (index >= 0) queue.splice(index, 1);
+        };
+    }
+
+    function wrap(requestor, priority) {
+        checkRequestors([requestor], factoryName);
+        if (exists(priority)) checkPriority(priority, factoryName);
+
+        return function limitedRequestor(receiver, message, signal) {
+            checkReceiver(receiver, factoryName);
+
+            let release;
+            let cancellor;
+            let removeAbortListeners;
+            let done = false;
+
+            /**
+             * Gives up the slot, or the place in the queue. Returns false if
+             * this was already done.
+             * @returns {Boolean}
+             */
+            function finish() {
+                if (done) return false;
+                done = true;
+
+                if (exists(release)) release();
+                else withdraw();
+
+                if (exists(removeAbortListeners)) removeAbortListeners();
+                return true;
+            }
+
+            function cancel(reason) {
+                if (!finish()) return;
+                try {
+                    if (isFunction(cancellor)) cancellor(reason);
+                }
+                catch(exception) {/* ignore errors */}
+            }
+
+            const withdraw = acquire(function start(releaseSlot) {
+                release = releaseSlot;
+                if (done) return release();
+
+                try {
+                    cancellor = requestor(result => {
+                        if (!finish()) return;
+                        receiver(result);
+                    }, message, signal);
+                }
+                catch(reason) {
+                    if (finish()) receiver({ reason });
+                }
+            }, isFunction(priority) 
+                ? () => evaluatePriority(priority, message) 
+                : priority
+            );
+
+            if (!done) removeAbortListeners = onAbort([signal], cancel);
+
+            return cancel;
+        };
+    }
+
+    return Object.freeze({
+        get capacity() {
+            return capacity;
+        },
+        get active() {
+            return active;
+        },
+        get pending() {
+            return queue.length;
+        },
+        acquire,
+        wrap
+    });
+}
+
+/**
+ * Throws a reason if the candidate is not a limiter.
+ * @param {any} candidate
+ * @param {String} factoryName
+ */
+export function checkLimiter(candidate, factoryName) {
+    if (
+        candidate === null
+        || typeof candidate !== "object"
+        || !isFunction(candidate.wrap)
+    )
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "limiter must be created by createLimiter!",
+            evidence: candidate
+        });
+}
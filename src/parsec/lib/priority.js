@@ -0,0 +1,89 @@
+import { ParsecValidationError } from "./errors.js";
+import { exists, isFunction } from "./utils.js";
+
+/**
+ * The priority of a requestor which was not given one.
+ */
+export const DEFAULT_PRIORITY = 0;
+
+/**
+ * Throws a reason if the candidate is not a priority.
+ * A priority is a finite number, or a function which returns one.
+ * @param {any} candidate
+ * @param {String} factoryName
+ */
+export function checkPriority(candidate, factoryName) {
+    if (!Number.isFinite(candidate) && !isFunction(candidate))
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "A priority must be a finite number or a function!",
+            evidence: candidate
+        });
+}
+
+/**
+ * Returns the current value of a priority.
+ * Priority functions are given the message of the requestor. A priority
+ * function which throws, or which does not return a finite number, gives the
+ * default priority.
+ * @param {Number|Function} priority Optional.
+ * @param {any} message
+ * @returns {Number}
+ */
+export function evaluatePriority(priority, message) {
+    if (!isFunction(priority))
+        return exists(priority) ? priority : DEFAULT_PRIORITY;
+
+    try {
+        const value = priority(message);
+        return Number.isFinite(value) ? value : DEFAULT_PRIORITY;
+    }
+    catch(exception) {
+        return DEFAULT_PRIORITY;
+    }
+}
+
+/**
+ * Applies the `priorities` option of a factory to its requestors.
+ * `priorities` can be an array, whose entries apply to the requestors at the
+ * same positions, or an object, whose entries apply to the requestors with the
+ * same keys. Missing entries get the default priority.
+ * @param {Number[]|Function[]|Object} priorities Optional.
+ * @param {Number} numberOfRequestors
+ * @param {String} factoryName
+ * @param {String[]} keys Optional. The key of each requestor, if the factory
+ * was given requestor maps.
+ * @returns {Array|undefined} The priority of each requestor, or undefined if
+ * no priorities were given.
+ */
+export function getPriorities(
+    priorities,
+    numberOfRequestors,
+    factoryName,
+    keys
+) {
+    if (!exists(priorities)) return;
+
+    let getPriority;
+    if (Array.isArray(priorities))
+        getPriority = index => priorities[index];
+    else if (
+        priorities !== null
+        && typeof priorities === "object"
+        && exists(keys)
+    )
+        getPriority = index => priorities[keys[index]];
+    else
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "priorities must be an array or, if requestors are " +
+                    "given by key, an object!",
+            evidence: priorities
+        });
+
+    return Array.from({ length: numberOfRequestors }, (_, index) => {
+        const priority = getPriority(index);
+        if (exists(priority)) checkPriority(priority, factoryName);
+        return priority;
+    });
+}
@@ -0,0 +1,61 @@
+import { ParsecValidationError } from "./errors.js";
+import { exists, isFunction } from "./utils.js";
+
+/**
+ * Throws a reason if the provided progress callback is not a function.
+ * @param {Function} onProgress
+ * @param {String} factoryName
+ */
+export function checkProgressCallback(onProgress, factoryName) {
+    if (!isFunction(onProgress))
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "onProgress must be a function!",
+            evidence: onProgress
+        });
+}
+
+/**
+ * Creates a function which tells a factory's `onProgress` callback about each
+ * requestor which settles.
+ * Each call is given a frozen object with the `index` of the requestor, its
+ * `key` if the factory was given requestor maps, its `value` and `reason`,
+ * and the running counts `pending`, `succeeded` and `failed`. `pending` is
+ * undefined while the number of requestors is unknown. Errors thrown by
+ * `onProgress` are ignored.
+ * @param {Function} onProgress Optional.
+ * @param {Function} countRequestors Returns the number of requestors, or
+ * undefined if it is not known yet.
+ * @param {String[]} keys Optional. The key of each requestor.
+ * @returns {Function|undefined} Takes the `{ value, reason, requestorIndex }`
+ * object given to `run`'s action. Undefined if there is no `onProgress`.
+ */
+export function createProgressReporter(onProgress, countRequestors, keys) {
+    if (!exists(onProgress)) return;
+
+    let succeeded = 0;
+    let failed = 0;
+
+    return function reportProgress({ value, reason, requestorIndex }) {
+        if (exists(value)) succeeded++;
+        else failed++;
+
+        const numberOfRequestors = countRequestors();
+        const pending = exists(numberOfRequestors)
+            ? numberOfRequestors - succeeded - failed
+            : undefined;
+
+        try {
+            onProgress(Object.freeze({
+                index: requestorIndex,
+                key: exists(keys) ? keys[requestorIndex] : undefined,
+                value,
+                reason,
+                pending,
+                succeeded,
+                failed
+            }));
+        }
+        catch(exception) {/* ignore errors */}
+    };
+}
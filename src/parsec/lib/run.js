@@ -1,5 +1,17 @@
 import { FactoryName } from "./constants.js";
-import { exists, makeReason, immediatelyQueue, isFunction } from "./utils.js";
+import { ParsecCancelError, ParsecValidationError } from "./errors.js";
+import { InstrumentEvent, createEmitter } from "./instrument.js";
+import { evaluatePriority } from "./priority.js";
+import { setTimer, clearTimer, now } from "./scheduler.js";
+import { isAsyncSource } from "./source.js";
+import { checkContract } from "./strict.js";
+import { 
+    exists, 
+    immediatelyQueue, 
+    isFunction, 
+    onAbort, 
+    createAbortReason 
+} from "./utils.js";
 
 /**
  * Launches requestors and manages timing, cancellation, and throttling.
@@ -7,18 +19,23 @@ import { exists, makeReason, immediatelyQueue, isFunction } from "./utils.js";
  * @param {Object} spec Configures run.
  * @param {String} spec.factoryName The name of the requestor factory which 
  * called `run`.
- * @param {Function[]} spec.requestors An array of requestor functions.
+ * @param {Function[]|Object} spec.requestors An array of requestor functions, 
+ * or an iterable or async iterable of them. Requestors are only pulled from 
+ * an iterable when there is room to start them, so at most `throttle` of them 
+ * are held at once. If the iterable throws, that counts as a failure of the 
+ * requestor which was being pulled, and no more requestors are pulled.
  * @param {any} spec.initialMessage The message passed to the first requestor. 
  * In some cases, it will be the message passed to all requestors.
  * @param {Function} spec.action The action callback. It receives an object with 
- * `"value"`, `"reason"`, and `"requestorIndex"` keys. The action method is 
- * executed in the receiver for each requestor in `spec.requestors`. The caller 
- * can inject specific behavior into `run` to suit their needs by providing this 
- * action callback.
+ * `"value"`, `"reason"`, `"requestorIndex"` and `"startTime"` keys. The action 
+ * method is executed in the receiver for each requestor in `spec.requestors`. 
+ * The caller can inject specific behavior into `run` to suit their needs by 
+ * providing this action callback.
  * The action callback receives the value and reason passed to the requestor, as 
  * well as a number indicating which index in `spec.requestors` points to the 
- * current requestor. The action callback is also called if the receiver enters 
- * enters a failure state (that is, if `value` is undefined).
+ * current requestor, and the time on the scheduler's clock when it started. The 
+ * action callback is also called if the receiver enters enters a failure state 
+ * (that is, if `value` is undefined).
  * @param {Function} spec.timeout A timeout callback. It takes no arguments. The 
  * caller of `run` can inject specific time-delayed asynchronous  behavior, if 
  * necessary, by providing this optional method.
@@ -27,43 +44,273 @@ import { exists, makeReason, immediatelyQueue, isFunction } from "./utils.js";
  * `timeout` to be ignored.
  * @param {Number} spec.throttle Determines the number of requestors which are
  * allowed to run simultaneously. This argument is optional. A value of 0 
- * indicates no throttle is applied.
+ * indicates no throttle is applied. Iterables of requestors need a throttle.
+ * @param {AbortSignal[]} spec.signals Optional. If any of these signals 
+ * aborts, `run` is cancelled with the signal's reason.
+ * @param {AbortSignal} spec.signal Optional. The `spec.signal` given to the 
+ * factory, which is shared by every call of its requestor. If it aborts, or 
+ * has already aborted, `run` is cancelled with a `ParsecCancelError` whose 
+ * cause is the signal's reason, and `aborted` is called with that error. 
+ * Unlike `signals`, the caller is still waiting for a result, so it must be 
+ * told.
+ * @param {Function} spec.aborted Called with the reason when `spec.signal` 
+ * aborts. It may be called before `run` returns.
+ * @param {Function} spec.instrument Optional. An instrumentation listener for 
+ * this execution only. See the documentation for `instrument`.
+ * @param {Object} spec.limiter Optional. A limiter created by `createLimiter`. 
+ * Each requestor waits for a slot from the limiter before it starts.
+ * @param {Array} spec.priorities Optional. The priority of each requestor in 
+ * `spec.requestors`: a number, or a function which takes `initialMessage` and 
+ * returns one. Requestors with higher priorities are started first, and 
+ * requestors with equal priorities are started in array order. The priorities 
+ * are also given to `spec.limiter`. Priorities can't be used with an iterable.
+ * @param {Function} spec.exhausted Optional. Called once if an iterable of 
+ * requestors runs out, with the number of requestors it gave. It is called 
+ * before `action` is called for the last of them, if it can be. Arrays never 
+ * run out.
+ * @param {String} spec.site Optional. Where the factory which called `run` was 
+ * called from, for reporting contract violations in strict mode. See the 
+ * documentation for `configure`.
+ * @param {Number[]} spec.delays Optional. For each requestor, the number of 
+ * milliseconds after it starts at which the next requestor is started, even 
+ * if the throttle has no room for it. Each start replaces the timer of the 
+ * requestor before it. `hedge` uses this to start backup requestors.
  * @returns {Function} A cancel function. Executes cancellors for all executed
  * requestors which returned a cancellor.
  */
 export function run(spec) {
     const { 
         factoryName, 
-        requestors, 
         initialMessage, 
         action, 
         timeout, 
         timeLimit, 
-        throttle = 0
+        throttle = 0,
+        signals = [],
+        signal,
+        aborted,
+        instrument,
+        limiter,
+        priorities = [],
+        exhausted,
+        site,
+        delays = []
     } = spec;
 
-    let cancellors = new Array(requestors.length);
-    let nextNumber = 0;
+    const { requestors } = spec;
+    const isLazy = !Array.isArray(requestors);
+
+    // Requestors are pulled from an iterator one at a time, so they never all 
+    // need to exist at once.
+    const iterator = isLazy 
+        ? (isAsyncSource(requestors) 
+            ? requestors[Symbol.asyncIterator]() 
+            : requestors[Symbol.iterator]())
+        : undefined;
+    let isExhausted = false;
+
+    // The indexes of the requestors in the order they are started. Priorities 
+    // can't reorder a sequence, since each requestor depends on the last.
+    const startOrder = isLazy ? [] : requestors.map((_, index) => index);
+    if (priorities.length > 0 && factoryName !== FactoryName.SEQUENCE) {
+        const values = startOrder.map(index => 
+            evaluatePriority(priorities[index], initialMessage));
+
+        // `sort` is stable, so equal priorities keep their array order
+        startOrder.sort((a, b) => values[b] - values[a]);
+    }
+
+    // `emit` only exists if someone is listening. Every use of it is guarded, 
+    // so uninstrumented executions pay nothing.
+    const emit = createEmitter(factoryName, instrument);
+    const startTimes = exists(emit) ? new Map() : undefined;
+
+    /**
+     * Emits an event which concludes the given requestor.
+     * @param {Object} event 
+     */
+    function emitConclusion(event) {
+        const time = now();
+        emit({ 
+            ...event, 
+            time, 
+            duration: time - startTimes.get(event.requestorIndex) 
+        });
+        startTimes.delete(event.requestorIndex);
+    }
+
+    // Only the requestors which are running have cancellors, so this stays as 
+    // small as the throttle allows.
+    let cancellors = new Map();
+    let numberTaken = 0;
     let timerId;
+    let delayTimerId;
+    let removeAbortListeners;
+
+    // The messages of requestors which are waiting to be started by the 
+    // trampoline in `startNext`.
+    const startQueue = [];
+    let startQueueHead = 0;
+    let starting = false;
+
+    /**
+     * Starts the next requestor with the given message.
+     * A requestor which calls its receiver synchronously would otherwise 
+     * start the next requestor from inside its own call, so a long chain of 
+     * them would overflow the stack. Instead, while requestors are being 
+     * started, further starts are queued, and the outermost call to 
+     * `startNext` starts them one after another in a loop.
+     * @param {any} message 
+     */
+    function startNext(message) {
+        startQueue.push(message);
+        if (starting) return;
+
+        starting = true;
+        try {
+            while (startQueueHead < startQueue.length)
+                startRequestor(startQueue[startQueueHead++]);
+
+            startQueue.length = 0;
+            startQueueHead = 0;
+        }
+        finally {
+            starting = false;
+        }
+    }
+
+    /**
+     * Returns true if there may be requestors left to start.
+     * @returns {Boolean}
+     */
+    function hasMore() {
+        return isLazy ? !isExhausted : numberTaken < requestors.length;
+    }
 
     /**
-     * Starts the current requestor. 
-     * This method is effectively a no-op if the cancellor array is nonexistent 
-     * or if we have called every requestor available. This method recursively 
-     * calls itself through the callback passed to the current requestor.
+     * Marks an iterable of requestors as finished and tells the caller how 
+     * many requestors it gave.
+     */
+    function exhaust() {
+        if (isExhausted) return;
+        isExhausted = true;
+        if (isFunction(exhausted)) exhausted(numberTaken);
+    }
+
+    /**
+     * Starts the next requestor. 
+     * This method is effectively a no-op if the cancellor map is nonexistent 
+     * or if we have called every requestor available. If the requestors come 
+     * from an iterable, the next one is pulled first. 
      * @param {any} message 
      */
     function startRequestor(message) {
-        if (!exists(cancellors) || nextNumber >= requestors.length) return;
+        if (!exists(cancellors) || !hasMore()) return;
+
+        if (!isLazy) {
+            const requestorIndex = startOrder[numberTaken++];
+            return launch(requestors[requestorIndex], requestorIndex, message);
+        }
+
+        // Anything the iterator throws, or rejects with, is a failure of the 
+        // requestor it was asked for. Once that happens, the iterator is 
+        // finished.
+        function fail(reason) {
+            if (!exists(cancellors) || isExhausted) return;
+
+            const requestorIndex = numberTaken++;
+            const startTime = now();
+            exhaust();
+
+            if (exists(emit)) {
+                startTimes.set(requestorIndex, emit({ 
+                    type: InstrumentEvent.START, 
+                    requestorIndex 
+                }));
+                emitConclusion({
+                    type: InstrumentEvent.THROW,
+                    requestorIndex,
+                    reason
+                });
+            }
+
+            action({ reason, requestorIndex, startTime });
+        }
+
+        function receive({ done, value }) {
+            if (!exists(cancellors) || isExhausted) return;
+            if (done) return exhaust();
+            launch(value, numberTaken++, message);
+        }
+
+        let result;
+        try {
+            result = iterator.next();
+        }
+        catch(reason) {
+            return fail(reason);
+        }
+
+        if (isAsyncSource(requestors)) 
+            Promise.resolve(result).then(receive, fail);
+        else receive(result);
+    }
 
-        // This variable stores the current value of `nextNumber` so it is 
-        // kept in scope. Execution of the callback passed to the current 
+    /**
+     * Starts the given requestor.
+     * The callback passed to the requestor starts the next one through 
+     * `startNext`.
+     * 
+     * Each requestor is given an `AbortSignal` as its third argument. The 
+     * signal is aborted if the requestor is cancelled.
+     * @param {Function} requestor 
+     * @param {Number} index The index of the requestor.
+     * @param {any} message 
+     */
+    function launch(requestor, index, message) {
+
+        // This variable stores the index of the requestor being started so it 
+        // is kept in scope. Execution of the callback passed to the current 
         // requestor is gated if `requestorIndex` ever becomes nonexistent.
-        let requestorIndex = nextNumber++;
+        let requestorIndex = index;
+
+        // In strict mode, contract violations are reported instead of being 
+        // quietly ignored by the guards below.
+        requestor = checkContract(requestor, factoryName, index, site);
+
+        // Requestors which share a limiter must wait for one of its slots.
+        if (exists(limiter)) 
+            requestor = limiter.wrap(requestor, priorities[requestorIndex]);
+
+        // Only the most recently started requestor can start the next one 
+        // early.
+        if (exists(delayTimerId)) {
+            clearTimer(delayTimerId);
+            delayTimerId = undefined;
+        }
+        if (exists(delays[index]) && hasMore())
+            delayTimerId = setTimer(() => {
+                delayTimerId = undefined;
+                startNext(initialMessage);
+            }, delays[index]);
+
+        const controller = new AbortController();
+        const startTime = now();
+
+        if (exists(emit))
+            startTimes.set(requestorIndex, emit({ 
+                type: InstrumentEvent.START, 
+                requestorIndex 
+            }));
+
+        // When instrumented, any factory requestor which this requestor starts 
+        // synchronously records this requestor as its parent.
+        const invoke = exists(emit) 
+            ? emit.asParentOf(requestor, requestorIndex) 
+            : requestor;
 
-        const requestor = requestors[requestorIndex];
         try {
-            cancellors[requestorIndex] = requestor(
+            const cancellor = invoke(
                 ({ value, reason }) => {
                     // If we are no longer running, this guard will gate the 
                     //     callback.
@@ -71,10 +318,18 @@ export function run(spec) {
 
                     // We no longer need the cancel function associated with 
                     // this requestor 
-                    cancellors[requestorIndex] = undefined;
+                    cancellors.delete(requestorIndex);
+
+                    if (exists(emit))
+                        emitConclusion({
+                            type: InstrumentEvent.SETTLE,
+                            requestorIndex,
+                            value,
+                            reason
+                        });
 
                     // Allow the caller to do some specific behavior
-                    action({ value, reason, requestorIndex });
+                    action({ value, reason, requestorIndex, startTime });
 
                     // Don't allow this callback to be called again
                     requestorIndex = undefined;
@@ -85,26 +340,61 @@ export function run(spec) {
                     // requestor in the array is called. However, there's no 
                     // need to pollute the event queue with callbacks that do 
                     // nothing so we'll add this extra check.
-                    if (nextNumber < requestors.length)
-                        immediatelyQueue(startRequestor,
-                                         factoryName === FactoryName.SEQUENCE 
+                    if (hasMore()) {
+                        const nextMessage = 
+                            factoryName === FactoryName.SEQUENCE 
+
+                            // pass result from former to next
+                            ? value
 
-                                         // pass result from former to next
-                                         ? value
+                            // pass same message to each requestor
+                            : initialMessage;
 
-                                         // pass same message to each requestor
-                                         : initialMessage
-                        );
+                        // A receiver called synchronously joins the 
+                        // trampoline. Otherwise, the next requestor waits 
+                        // until whoever called the receiver has finished.
+                        if (starting) startNext(nextMessage);
+                        else immediatelyQueue(startNext, nextMessage);
+                    }
                 },
-                message
+                message,
+                controller.signal
             );
+
+            // If the receiver was called synchronously, then there is nothing 
+            // left to cancel.
+            if (exists(requestorIndex) && exists(cancellors)) {
+                const cancelledIndex = requestorIndex;
+                cancellors.set(requestorIndex, reason => {
+                    if (exists(emit))
+                        emitConclusion({
+                            type: InstrumentEvent.CANCEL,
+                            requestorIndex: cancelledIndex,
+                            reason
+                        });
+
+                    try {
+                        if (isFunction(cancellor)) cancellor(reason);
+                    }
+                    finally {
+                        controller.abort(reason);
+                    }
+                });
+            }
         }
         catch(reason) {
             // Requestors must handle errors themselves. That is, a proper 
             // requestor should never throw an error. Therefore, catching an 
             // error should be able to be treated as a failure. We give the 
             // `action` callback the responsibility of handling the error.
-            action({ reason, requestorIndex });
+            if (exists(emit))
+                emitConclusion({
+                    type: InstrumentEvent.THROW,
+                    requestorIndex,
+                    reason
+                });
+
+            action({ reason, requestorIndex, startTime });
 
             // This causes the callback passed to the requestor in this 
             // call stack to be gated.
@@ -113,46 +403,91 @@ export function run(spec) {
             // Keep going for now. If we should cancel the `run`, the caller 
             // will have done so in `action`. That decision is not our
             // responsibility.
-            startRequestor(message);
+            startNext(message);
         }
     }
 
     // If there is a timeoutCallback and a positive timeLimit, do a timeout.
     if (exists(timeLimit)) {
         if (typeof timeLimit !== "number" || timeLimit < 0)
-            throw makeReason({
+            throw new ParsecValidationError({
                 factoryName,
                 excuse: "timeLimit must be a number greater than 0!",
                 evidence: timeLimit
             });
         
         if (timeLimit > 0) {
-            timerId = setTimeout(timeout, timeLimit);
+            timerId = setTimer(() => {
+                timerId = undefined;
+                if (exists(emit)) 
+                    emit({ type: InstrumentEvent.TIMEOUT, timeLimit });
+                timeout();
+            }, timeLimit);
         }
     }
 
     // type-check throttle
     if (!Number.isSafeInteger(throttle) || throttle < 0) {
-        throw makeReason({
+        throw new ParsecValidationError({
             factoryName,
             excuse: "Throttle must be a nonnegative, safe integer!",
             evidence: throttle
         });
     }
 
+    // Without a throttle, an endless iterable would be pulled forever.
+    if (isLazy && throttle === 0)
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "A throttle is required when requestors are given as an " + 
+                    "iterable!",
+            evidence: throttle
+        });
+
     // Start doing requestors. If doing sequence or fallback then the throttle 
     // is set to 1 (which is equivalent to doing one requestor at a time).
-    // Notice startRequestor eventually calls itself again in the event queue, 
-    // so if we don't get all requestors now, we will get the rest later.
-    let amountToParallelize = Math.min(throttle || Infinity, requestors.length);
-    while (amountToParallelize-- > 0) 
-        immediatelyQueue(startRequestor, initialMessage);
+    // Notice each requestor starts the next one once it finishes, so if we 
+    // don't get all requestors now, we will get the rest later. Nothing is 
+    // started until `run` has returned, so callers can use the cancel 
+    // function in `action`.
+    let amountToParallelize = isLazy 
+        ? throttle || Infinity
+        : Math.min(throttle || Infinity, requestors.length);
+    if (amountToParallelize > 0)
+        immediatelyQueue(() => {
+            while (amountToParallelize-- > 0 && hasMore()) 
+                startNext(initialMessage);
+        });
 
-    const DEFAULT_CANCEL_REASON = makeReason({ 
+    const DEFAULT_CANCEL_REASON = new ParsecCancelError({ 
         factoryName,
         excuse: "Cancel!"
     });
 
+    // Aborting any of the provided signals is the same as calling the cancel 
+    // function.
+    removeAbortListeners = onAbort(signals, cancel);
+
+    // Aborting the factory's signal also cancels, but the caller needs to 
+    // tell its receiver.
+    if (exists(signal) && exists(removeAbortListeners)) {
+        const removeCallListeners = removeAbortListeners;
+        const removeSignalListener = onAbort([signal], signalReason => {
+            if (!exists(cancellors)) return;
+
+            const reason = createAbortReason(factoryName, signalReason);
+            cancel(reason);
+            aborted(reason);
+        });
+        if (exists(cancellors))
+            removeAbortListeners = () => {
+                removeCallListeners();
+                removeSignalListener();
+            };
+    }
+
+    return cancel;
+
     /**
      * Stops all unfinished requestors.
      * This is typically called when a requestor fails. It can also be called on
@@ -160,11 +495,15 @@ export function run(spec) {
      * optional requestors.
      * @param {Reason} reason 
      */
-    return function cancel(reason = DEFAULT_CANCEL_REASON) {
-        if (exists(timerId)) {
-            clearTimeout(timerId);
-            timerId = undefined;
+    function cancel(reason = DEFAULT_CANCEL_REASON) {
+        if (exists(removeAbortListeners)) {
+            removeAbortListeners();
+            removeAbortListeners = undefined;
         }
+
+        [timerId, delayTimerId].filter(exists).forEach(clearTimer);
+        timerId = undefined;
+        delayTimerId = undefined;
         
         if (exists(cancellors)) {
             cancellors.forEach(cancellor => {
@@ -174,6 +513,14 @@ export function run(spec) {
                 catch(exceptions) {/* ignore errors */}
             });
             cancellors = undefined;
+
+            // Let the iterator clean up, since nothing more will be pulled.
+            if (isLazy && !isExhausted && isFunction(iterator.return)) {
+                try {
+                    Promise.resolve(iterator.return()).catch(() => {});
+                }
+                catch(exception) {/* ignore errors */}
+            }
         }
     }
 }
@@ -0,0 +1,258 @@
+import { FactoryName } from "./constants.js";
+import { ParsecError, ParsecValidationError } from "./errors.js";
+
+/**
+ * The scheduler parsec uses unless another is configured. It uses the global
+ * `setTimeout` and `clearTimeout`, `queueMicrotask` to queue callbacks, and
+ * `performance.now()` as its clock.
+ */
+export const systemScheduler = Object.freeze({
+    queue(callback, ...args) {
+        queueMicrotask(() => callback(...args));
+    },
+    setTimeout(callback, delay, ...args) {
+        return setTimeout(callback, delay, ...args);
+    },
+    clearTimeout(handle) {
+        clearTimeout(handle);
+    },
+    now() {
+        return performance.now();
+    }
+});
+
+let currentScheduler = systemScheduler;
+
+/**
+ * Throws a reason if the candidate is not a scheduler.
+ * @param {any} candidate
+ * @param {String} factoryName
+ */
+export function checkScheduler(candidate, factoryName) {
+    if (
+        candidate === null
+        || typeof candidate !== "object"
+        || ["setTimeout", "clearTimeout", "now"].some(method =>
+            typeof candidate[method] !== "function")
+        || (
+            candidate.queue !== undefined
+            && typeof candidate.queue !== "function"
+        )
+    )
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "A scheduler must have setTimeout, clearTimeout and now " +
+                    "methods, and queue must be a method if it is given!",
+            evidence: candidate
+        });
+}
+
+/**
+ * Replaces the scheduler used for all of parsec's timing.
+ * @param {Object} scheduler
+ */
+export function setScheduler(scheduler) {
+    currentScheduler = scheduler;
+}
+
+/**
+ * Calls the callback as soon as possible, but not synchronously, using the
+ * current scheduler. Schedulers without a `queue` method use a timer with no
+ * delay instead.
+ * @param {Function} callback
+ * @param  {...any} args
+ */
+export function queue(callback, ...args) {
+    if (typeof currentScheduler.queue === "function")
+        currentScheduler.queue(callback, ...args);
+    else
+        currentScheduler.setTimeout(callback, 0, ...args);
+}
+
+/**
+ * Calls the callback after a delay, using the current scheduler.
+ * Any additional arguments are passed to the callback when it is executed.
+ * @param {Function} callback
+ * @param {Number} delay In milliseconds.
+ * @param  {...any} args
+ * @returns {Object} A timer which can be given to `clearTimer`.
+ */
+export function setTimer(callback, delay, ...args) {
+    const scheduler = currentScheduler;
+
+    // The scheduler is remembered so the timer can be cleared even if the
+    // scheduler is replaced in the meantime.
+    return {
+        scheduler,
+        handle: scheduler.setTimeout(callback, delay, ...args)
+    };
+}
+
+/**
+ * Stops a timer created by `setTimer` from calling its callback.
+ * @param {Object} timer
+ */
+export function clearTimer({ scheduler, handle }) {
+    scheduler.clearTimeout(handle);
+}
+
+/**
+ * Returns the current time of the current scheduler, in milliseconds.
+ * @returns {Number}
+ */
+export function now() {
+    return currentScheduler.now();
+}
+
+/**
+ * Creates a scheduler whose time only passes when it is told to.
+ *
+ * @example
+ * ```
+ * import parsec from "./parsec";
+ *
+ * const clock = parsec.createVirtualClock();
+ * parsec.configure({ scheduler: clock });
+ *
+ * let result;
+ * parsec.race([slowRequestor], { timeLimit: 5000 })(r => result = r);
+ *
+ * clock.advance(5000);
+ * console.log(result.reason.code === parsec.ErrorCode.TIMEOUT); // true
+ *
+ * // put the real clock back
+ * parsec.configure({ scheduler: parsec.systemScheduler });
+ * ```
+ *
+ * Timers scheduled with the clock, and callbacks given to its `queue` method,
+ * only run when `advance` or `runAll` is called, and they run synchronously
+ * inside those calls. Timers run in order of the time they are due, and
+ * timers due at the same time run in the order they were scheduled. While a
+ * timer runs, `now()` returns the time it was due. Timers which are scheduled
+ * by other timers run in the same call if they become due in time.
+ *
+ * The clock cannot run promise callbacks, so requestors which use promises
+ * (such as those made by `fromAsync`) need the microtask queue to be drained,
+ * for instance with `await`, between calls to `advance`.
+ *
+ * The clock has the following properties, as well as the `queue`,
+ * `setTimeout`, `clearTimeout` and `now` methods which make it a scheduler:
+ *
+ *  - `advance(milliseconds)`: Moves time forward, running every timer which
+ * becomes due.
+ *  - `runAll()`: Runs timers until there are none left, moving time forward
+ * to each one. Throws if timers keep scheduling more timers after
+ * `maxTimers` have run.
+ *  - `pending`: The number of timers waiting to run.
+ *
+ * @param {Object} spec Configures createVirtualClock.
+ * @param {Number} spec.startTime The time the clock starts at. Defaults to 0.
+ * @param {Number} spec.maxTimers The most timers `runAll` runs before it
+ * gives up. Defaults to 100000.
+ * @returns {Object} The clock.
+ */
+export function createVirtualClock(spec = {}) {
+    const { startTime = 0, maxTimers = 100000 } = spec;
+    const factoryName = FactoryName.VIRTUAL_CLOCK;
+
+    if (!Number.isFinite(startTime))
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "startTime must be a finite number!",
+            evidence: startTime
+        });
+
+    if (!Number.isSafeInteger(maxTimers) || maxTimers < 1)
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "maxTimers must be a positive, safe integer!",
+            evidence: maxTimers
+        });
+
+    let currentTime = startTime;
+    let nextHandle = 1;
+
+    // Sorted by due time. Timers due at the same time keep the order they
+    // were scheduled in.
+    const timers = [];
+
+    function setTimeout(callback, delay, ...args) {
+        if (typeof callback !== "function")
+            throw new ParsecValidationError({
+                factoryName,
+                excuse: "setTimeout must be given a function!",
+                evidence: callback
+            });
+
+        const dueTime = currentTime + (delay > 0 ? delay : 0);
+        const timer = { handle: nextHandle++, dueTime, callback, args };
+
+        const index = timers.findIndex(other => other.dueTime > dueTime);
+        if (index < 0) timers.push(timer);
+        else timers.splice(index, 0, timer);
+
+        return timer.handle;
+    }
+
+    // Queued callbacks are timers which are due immediately
+    function queue(callback, ...args) {
+        setTimeout(callback, 0, ...args);
+    }
+
+    function clearTimeout(handle) {
+        const index = timers.findIndex(timer => timer.handle === handle);
+        if (index >= 0) timers.splice(index, 1);
+    }
+
+    function now() {
+        return currentTime;
+    }
+
+    /**
+     * Runs the next timer, moving time forward to when it is due.
+     */
+    function runNext() {
+        const { dueTime, callback, args } = timers.shift();
+        currentTime = Math.max(currentTime, dueTime);
+        callback(...args);
+    }
+
+    function advance(milliseconds) {
+        if (typeof milliseconds !== "number" || !(milliseconds >= 0))
+            throw new ParsecValidationError({
+                factoryName,
+                excuse: "advance must be given a nonnegative number!",
+                evidence: milliseconds
+            });
+
+        const endTime = currentTime + milliseconds;
+        while (timers.length > 0 && timers[0].dueTime <= endTime) runNext();
+        currentTime = endTime;
+    }
+
+    function runAll() {
+        let count = 0;
+        while (timers.length > 0) {
+            if (count++ >= maxTimers)
+                throw new ParsecError({
+                    factoryName,
+                    excuse: `runAll gave up after ${maxTimers} timers! A ` +
+                            "timer may be rescheduling itself forever.",
+                    evidence: timers.length
+                });
+            runNext();
+        }
+    }
+
+    return Object.freeze({
+        queue,
+        setTimeout,
+        clearTimeout,
+        now,
+        advance,
+        runAll,
+        get pending() {
+            return timers.length;
+        }
+    });
+}
@@ -0,0 +1,55 @@
+import { exists, isFunction } from "./utils.js";
+
+/**
+ * Returns true if the candidate is an iterable or async iterable which is not
+ * an array or a string. Factories pull requestors from these lazily.
+ * @param {any} candidate
+ * @returns {Boolean}
+ */
+export function isLazySource(candidate) {
+    return exists(candidate)
+        && candidate !== null
+        && (typeof candidate === "object" || isFunction(candidate))
+        && !Array.isArray(candidate)
+        && (
+            isFunction(candidate[Symbol.iterator])
+            || isFunction(candidate[Symbol.asyncIterator])
+        );
+}
+
+/**
+ * Returns true if requestors are pulled from the source asynchronously.
+ * @param {Object} source A lazy source.
+ * @returns {Boolean}
+ */
+export function isAsyncSource(source) {
+    return isFunction(source[Symbol.asyncIterator]);
+}
+
+/**
+ * Creates a lazy source which passes each requestor of another lazy source
+ * through a function as it is pulled.
+ * The new source is async if the original source is. If `mapper` throws, the
+ * new source throws, and is done.
+ * @param {Object} source A lazy source.
+ * @param {Function} mapper Takes a requestor and its index, and returns a
+ * requestor.
+ * @returns {Object} A lazy source.
+ */
+export function mapSource(source, mapper) {
+    if (isAsyncSource(source))
+        return {
+            async *[Symbol.asyncIterator]() {
+                let index = 0;
+                for await (const requestor of source)
+                    yield mapper(requestor, index++);
+            }
+        };
+
+    return {
+        *[Symbol.iterator]() {
+            let index = 0;
+            for (const requestor of source) yield mapper(requestor, index++);
+        }
+    };
+}
@@ -0,0 +1,215 @@
+import { ParsecContractError } from "./errors.js";
+import { exists, isFunction } from "./utils.js";
+
+/**
+ * Returns true if the `PARSEC_STRICT` environment variable turns on strict
+ * mode. Environments without `process` never do.
+ * @returns {Boolean}
+ */
+function readEnvironment() {
+    const setting = globalThis.process?.env?.PARSEC_STRICT;
+    return exists(setting) && !["", "0", "false"].includes(setting);
+}
+
+let strict = readEnvironment();
+let violationListener;
+
+// Stack frames from inside parsec are left out of composition sites.
+const parsecDirectory = new URL("..", import.meta.url).href;
+
+// Requestors made by parsec which check the requestor they wrap themselves. 
+// Checking them as well would only report parsec's wrapper instead of the 
+// requestor at fault.
+const checkedRequestors = new WeakSet();
+
+/**
+ * Turns strict mode on or off. See the documentation for `configure`.
+ * @param {Boolean} isOn
+ */
+export function setStrict(isOn) {
+    strict = isOn;
+}
+
+/**
+ * Replaces the function which is told about contract violations.
+ * @param {Function} listener Optional. If undefined, violations are logged
+ * with `console.warn`.
+ */
+export function setViolationListener(listener) {
+    violationListener = listener;
+}
+
+/**
+ * Describes where a factory was called from, so that contract violations can
+ * point at the composition which started the offending requestor.
+ * Does nothing unless strict mode is on, since stack traces are expensive.
+ * @returns {String|undefined} The stack frames outside of parsec, one per
+ * line.
+ */
+export function captureSite() {
+    if (!strict) return;
+
+    const { stack } = new Error();
+    if (!exists(stack)) return;
+
+    return stack
+        .split("\n")
+        .slice(1)
+        .filter(frame => !frame.includes(parsecDirectory))
+        .map(frame => frame.trim())
+        .join("\n");
+}
+
+/**
+ * Reports a contract violation to the violation listener.
+ * @param {ParsecContractError} violation
+ */
+function report(violation) {
+    try {
+        if (isFunction(violationListener)) violationListener(violation);
+        else console.warn(violation);
+    }
+    catch(exception) {/* ignore errors */}
+}
+
+/**
+ * Returns true if the candidate is an object whose only keys are `value` and
+ * `reason`.
+ * @param {any} candidate
+ * @returns {Boolean}
+ */
+function isResult(candidate) {
+    return typeof candidate === "object"
+        && candidate !== null
+        && Object.keys(candidate).every(key =>
+            key === "value" || key === "reason");
+}
+
+/**
+ * Marks a requestor made by parsec as one which checks the requestor it wraps 
+ * with `checkContract`, so that `enforceContract` leaves it alone.
+ * @param {Function} requestor
+ * @returns {Function} The same requestor.
+ */
+export function markChecked(requestor) {
+    checkedRequestors.add(requestor);
+    return requestor;
+}
+
+/**
+ * Returns the requestor wrapped by `enforceContract` if strict mode is on, or
+ * the requestor itself otherwise. Call this each time the requestor is
+ * started, so that turning strict mode on or off takes effect straight away.
+ * @param {Function} requestor
+ * @param {String} factoryName
+ * @param {Number} requestorIndex Optional.
+ * @param {String} site Optional.
+ * @returns {Function} A requestor.
+ */
+export function checkContract(requestor, factoryName, requestorIndex, site) {
+    return strict
+        ? enforceContract(requestor, factoryName, requestorIndex, site)
+        : requestor;
+}
+
+/**
+ * Wraps a requestor so that breaking the requestor contract is reported
+ * instead of being quietly ignored.
+ * The following are reported:
+ *
+ *  - Calling the receiver more than once. Only the first call is passed on.
+ *  - Calling the receiver with something other than a `{ value, reason }`
+ * object. If it is not an object at all, the receiver is given the violation
+ * as the reason instead.
+ *  - Throwing after calling the receiver. The exception is not passed on.
+ *  - Returning a cancellor which is not a function. It is not passed on.
+ *
+ * Requestors marked with `markChecked` are returned as they are.
+ *
+ * @param {Function} requestor
+ * @param {String} factoryName The factory which starts the requestor.
+ * @param {Number} requestorIndex Optional. The index of the requestor in that
+ * factory.
+ * @param {String} site Optional. Where the factory was called from. See
+ * `captureSite`.
+ * @returns {Function} A requestor.
+ */
+export function enforceContract(requestor, factoryName, requestorIndex, site) {
+    if (checkedRequestors.has(requestor)) return requestor;
+
+    const requestorName = requestor.name || "anonymous";
+    const position = exists(requestorIndex) 
+        ? ` at index ${requestorIndex}` 
+        : "";
+
+    function createViolation(excuse, evidence) {
+        return new ParsecContractError({
+            factoryName,
+            excuse: `Requestor "${requestorName}"${position} ` +
+                    excuse +
+                    (exists(site) ? `\nComposed at:\n${site}` : ""),
+            requestorIndex,
+            evidence,
+            requestorName,
+            site
+        });
+    }
+
+    return function strictRequestor(receiver, message, signal) {
+        let numberOfCalls = 0;
+        let receiverThrew = false;
+
+        function strictReceiver(result) {
+            numberOfCalls++;
+            if (numberOfCalls > 1)
+                return report(createViolation(
+                    "called its receiver more than once!",
+                    result
+                ));
+
+            if (!isResult(result)) {
+                const violation = createViolation(
+                    "called its receiver with something other than a " +
+                    "{ value, reason } object!",
+                    result
+                );
+                report(violation);
+
+                if (typeof result !== "object" || result === null)
+                    result = { reason: violation };
+            }
+
+            try {
+                receiver(result);
+            }
+            catch(exception) {
+                receiverThrew = true;
+                throw exception;
+            }
+        }
+
+        let cancellor;
+        try {
+            cancellor = requestor(strictReceiver, message, signal);
+        }
+        catch(exception) {
+            if (numberOfCalls === 0 || receiverThrew) throw exception;
+
+            report(createViolation(
+                "threw after calling its receiver!",
+                exception
+            ));
+            return;
+        }
+
+        if (exists(cancellor) && !isFunction(cancellor)) {
+            report(createViolation(
+                "returned a cancellor which is not a function!",
+                cancellor
+            ));
+            return;
+        }
+
+        return cancellor;
+    };
+}
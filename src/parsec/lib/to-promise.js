@@ -0,0 +1,78 @@
+import { FactoryName } from "./constants.js";
+import { exists, isFunction, checkRequestors } from "./utils.js";
+
+/**
+ * Executes a requestor and returns a promise for its result.
+ * 
+ * @example
+ * ```
+ * import parsec from "./parsec";
+ * 
+ * const getCheeses = parsec.parallel([getGruyere, getCheddar]);
+ * 
+ * try {
+ *     const cheeses = await parsec.toPromise(getCheeses);
+ *     console.log("Here's the cheese:", cheeses);
+ * }
+ * catch(reason) {
+ *     console.log("Failure because", reason);
+ * }
+ * ```
+ * 
+ * The promise fulfills with the `value` given to the receiver if the requestor 
+ * succeeds. It rejects with the `reason` given to the receiver if the requestor 
+ * fails, or with the thrown error if the requestor throws.
+ * 
+ * If an `AbortSignal` is provided, aborting it calls the requestor's cancellor 
+ * with the signal's reason and rejects the promise with that reason. If the 
+ * signal has already been aborted, the requestor is never called. The signal 
+ * is also passed to the requestor as its third argument.
+ * 
+ * @param {Function} requestor The requestor to execute.
+ * @param {any} message Optional. The message passed to the requestor.
+ * @param {Object} options Optional.
+ * @param {AbortSignal} options.signal Aborting this signal cancels the request.
+ * @returns {Promise}
+ */
+export function toPromise(requestor, message, { signal } = {}) {
+    checkRequestors([requestor], FactoryName.TO_PROMISE);
+
+    return new Promise((resolve, reject) => {
+        if (exists(signal) && signal.aborted) return reject(signal.reason);
+
+        let settled = false;
+        let cancellor;
+
+        function onAbort() {
+            if (settled) return;
+            settled = true;
+
+            if (isFunction(cancellor)) {
+                try {
+                    cancellor(signal.reason);
+                }
+                catch(exception) {/* ignore errors */}
+            }
+            reject(signal.reason);
+        }
+
+        try {
+            cancellor = requestor(({ value, reason }) => {
+                if (settled) return;
+                settled = true;
+                if (exists(signal)) 
+                    signal.removeEventListener("abort", onAbort);
+
+                if (exists(value)) return resolve(value);
+                reject(reason);
+            }, message, signal);
+        }
+        catch(reason) {
+            settled = true;
+            return reject(reason);
+        }
+
+        if (!settled && exists(signal)) 
+            signal.addEventListener("abort", onAbort);
+    });
+}
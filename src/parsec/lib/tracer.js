@@ -0,0 +1,318 @@
+import { FactoryName } from "./constants.js";
+import { exists } from "./utils.js";
+import { ParsecValidationError } from "./errors.js";
+import { InstrumentEvent } from "./instrument.js";
+import { now } from "./scheduler.js";
+import { fromAsync } from "../factories/from-async.js";
+
+/**
+ * Describes how a traced requestor ended.
+ * There are five keys in SpanOutcome:
+ * 
+ *  - `"PENDING"`: The requestor had not ended when the trace was exported.
+ *  - `"SUCCESS"`: The requestor called its receiver with a value.
+ *  - `"FAILURE"`: The requestor called its receiver without a value.
+ *  - `"CANCELLED"`: The requestor was cancelled before it ended.
+ *  - `"THREW"`: The requestor threw instead of calling its receiver.
+ */
+export const SpanOutcome = Object.freeze({
+    PENDING: "pending",
+    SUCCESS: "success",
+    FAILURE: "failure",
+    CANCELLED: "cancelled",
+    THREW: "threw"
+});
+
+/**
+ * Turns a reason into something which survives `JSON.stringify`.
+ * @param {any} reason
+ * @returns {any}
+ */
+function describeReason(reason) {
+    if (!exists(reason)) return;
+    if (!(reason instanceof Error)) {
+        try {
+            return JSON.parse(JSON.stringify(reason));
+        }
+        catch(exception) {
+            return String(reason);
+        }
+    }
+
+    return {
+        name: reason.name,
+        message: reason.message,
+        code: reason.code
+    };
+}
+
+/**
+ * Creates a tracer which records nested compositions as a tree of spans.
+ * 
+ * @example
+ * ```
+ * import parsec from "./parsec";
+ * 
+ * const tracer = parsec.createTracer();
+ * const stopTracing = parsec.instrument(tracer.listener);
+ * 
+ * const getDashboard = parsec.sequence([
+ *     getUser,
+ *     parsec.parallel([getNav, parsec.race([getAdA, getAdB])])
+ * ]);
+ * 
+ * parsec.sequence([getDashboard, tracer.writeFile("./dashboard-trace.json")])
+ * (({ value, reason }) => {
+ *     stopTracing();
+ *     if (value === undefined) return console.log("Failure because", reason);
+ *     console.log("Trace saved to", value);
+ * });
+ * ```
+ * 
+ * The tracer's `listener` must be added with `parsec.instrument`. Every
+ * execution of a factory's requestor becomes a node in the tree. Each node
+ * has a span for every requestor it started, and a span contains the nodes of
+ * any factory requestors that its requestor started. Each span records its
+ * start and end times, its outcome (see `SpanOutcome`), its reason, and, if it
+ * was cancelled because of another failure, the cause of the cancellation.
+ * Times are in milliseconds from the scheduler's clock. See the documentation 
+ * for `parsec.configure`.
+ * 
+ * Only the latest `maxRuns` executions are kept. When there are more, the 
+ * oldest are forgotten, and any nodes they contained become roots of the 
+ * tree. Use `clear()` after exporting a trace to start again with an empty 
+ * one.
+ * 
+ * The tracer returns the following object:
+ * 
+ *  - `listener`: The instrumentation listener which records events.
+ *  - `toJSON()`: Returns the span tree as an array of root nodes.
+ *  - `toChromeTrace()`: Returns the trace in the Chrome trace-event format.
+ * The result can be loaded by `chrome://tracing` or Perfetto.
+ *  - `writeFile(path)`: Returns a requestor which writes the Chrome trace to a
+ * file. On success, the receiver is given the path. Cancelling it aborts the
+ * write. This only works in Node.
+ *  - `clear()`: Forgets everything recorded so far.
+ * 
+ * @param {Object} spec Configures createTracer.
+ * @param {Number} spec.maxRuns The most executions of factory requestors which 
+ * are kept. Defaults to 1000. Can be `Infinity`.
+ * @returns {Object} The tracer.
+ */
+export function createTracer(spec = {}) {
+    const { maxRuns = 1000 } = spec;
+
+    if (
+        maxRuns !== Infinity
+        && (!Number.isSafeInteger(maxRuns) || maxRuns < 1)
+    )
+        throw new ParsecValidationError({
+            factoryName: FactoryName.TRACER,
+            excuse: "maxRuns must be a positive, safe integer or Infinity!",
+            evidence: maxRuns
+        });
+
+    // A `Map` iterates in insertion order, so the first run is the oldest.
+    let runs = new Map();
+
+    /**
+     * Records an instrumentation event.
+     * @param {Object} event
+     */
+    function listener(event) {
+        const {
+            type,
+            runId,
+            requestorIndex,
+            time,
+            reason
+        } = event;
+
+        if (!runs.has(runId)) {
+            runs.set(runId, {
+                runId,
+                factoryName: event.factoryName,
+                parentRunId: event.parentRunId,
+                parentRequestorIndex: event.parentRequestorIndex,
+                timeLimit: undefined,
+                timedOut: false,
+                spans: new Map()
+            });
+
+            if (runs.size > maxRuns) runs.delete(runs.keys().next().value);
+        }
+
+        const run = runs.get(runId);
+
+        if (type === InstrumentEvent.TIMEOUT) {
+            run.timedOut = true;
+            run.timeLimit = event.timeLimit;
+            return;
+        }
+
+        if (type === InstrumentEvent.START) {
+            run.spans.set(requestorIndex, {
+                requestorIndex,
+                start: time,
+                end: undefined,
+                outcome: SpanOutcome.PENDING,
+                reason: undefined,
+                cancelCause: undefined
+            });
+            return;
+        }
+
+        const span = run.spans.get(requestorIndex);
+        if (!exists(span)) return;
+
+        span.end = time;
+        span.reason = reason;
+
+        if (type === InstrumentEvent.SETTLE)
+            span.outcome = exists(event.value)
+                ? SpanOutcome.SUCCESS
+                : SpanOutcome.FAILURE;
+        else if (type === InstrumentEvent.THROW)
+            span.outcome = SpanOutcome.THREW;
+        else if (type === InstrumentEvent.CANCEL) {
+            span.outcome = SpanOutcome.CANCELLED;
+            if (exists(reason)) span.cancelCause = reason.cause;
+        }
+    }
+
+    /**
+     * Builds the span tree.
+     * @param {Number} now The end time used for spans which are still pending.
+     * @returns {Object[]} The root nodes.
+     */
+    function buildTree(now) {
+        const nestedRuns = new Map();
+        const roots = [];
+
+        runs.forEach(run => {
+            if (!exists(run.parentRunId) || !runs.has(run.parentRunId))
+                return roots.push(run);
+
+            const key = `${run.parentRunId}:${run.parentRequestorIndex}`;
+            if (!nestedRuns.has(key)) nestedRuns.set(key, []);
+            nestedRuns.get(key).push(run);
+        });
+
+        function toNode(run) {
+            const spans = [...run.spans.values()]
+                .sort((a, b) => a.requestorIndex - b.requestorIndex)
+                .map(span => {
+                    const end = exists(span.end) ? span.end : now;
+                    const nested = nestedRuns.get(
+                        `${run.runId}:${span.requestorIndex}`
+                    ) || [];
+
+                    return {
+                        requestorIndex: span.requestorIndex,
+                        start: span.start,
+                        end,
+                        duration: end - span.start,
+                        outcome: span.outcome,
+                        reason: describeReason(span.reason),
+                        cancelCause: describeReason(span.cancelCause),
+                        children: nested.map(toNode)
+                    };
+                });
+
+            // A factory which timed out before starting anything has no spans.
+            const start = spans.length > 0 
+                ? Math.min(...spans.map(span => span.start)) 
+                : now;
+            const end = spans.length > 0 
+                ? Math.max(...spans.map(span => span.end)) 
+                : now;
+
+            return {
+                runId: run.runId,
+                factoryName: run.factoryName,
+                start,
+                end,
+                duration: end - start,
+                timedOut: run.timedOut,
+                timeLimit: run.timeLimit,
+                spans
+            };
+        }
+
+        return roots.map(toNode);
+    }
+
+    function toJSON() {
+        return buildTree(now());
+    }
+
+    function toChromeTrace() {
+        const traceEvents = [];
+
+        function addNode(node, threadId) {
+            traceEvents.push({
+                name: node.factoryName,
+                cat: "parsec.factory",
+                ph: "X",
+                ts: node.start * 1000,
+                dur: node.duration * 1000,
+                pid: 1,
+                tid: threadId,
+                args: {
+                    runId: node.runId,
+                    timedOut: node.timedOut,
+                    timeLimit: node.timeLimit
+                }
+            });
+
+            node.spans.forEach(span => {
+                traceEvents.push({
+                    name: `${node.factoryName}[${span.requestorIndex}]`,
+                    cat: "parsec.requestor",
+                    ph: "X",
+                    ts: span.start * 1000,
+                    dur: span.duration * 1000,
+                    pid: 1,
+                    tid: threadId,
+                    args: {
+                        runId: node.runId,
+                        requestorIndex: span.requestorIndex,
+                        outcome: span.outcome,
+                        reason: span.reason,
+                        cancelCause: span.cancelCause
+                    }
+                });
+                span.children.forEach(child => addNode(child, threadId));
+            });
+        }
+
+        // Each root composition is drawn on its own row.
+        toJSON().forEach(root => addNode(root, root.runId));
+
+        return { traceEvents, displayTimeUnit: "ms" };
+    }
+
+    function writeFile(path) {
+        return fromAsync(async function writeTrace(_, signal) {
+            const fs = await import("node:fs/promises");
+            await fs.writeFile(
+                path,
+                JSON.stringify(toChromeTrace(), null, 2),
+                { signal }
+            );
+            return path;
+        });
+    }
+
+    function clear() {
+        runs = new Map();
+    }
+
+    return Object.freeze({
+        listener,
+        toJSON,
+        toChromeTrace,
+        writeFile,
+        clear
+    });
+}
@@ -1,3 +1,6 @@
+import { ParsecCancelError, ParsecValidationError } from "./errors.js";
+import { queue } from "./scheduler.js";
+
 /**
  * Returns false if the provided value is undefined, true otherwise.
  * @param {any} value 
@@ -8,13 +11,14 @@ export function exists(value) {
 }
 
 /**
- * Immediately inserts the given callback into the event queue.
+ * Calls the given callback as soon as the current call stack has finished.
  * Any additional arguments are passed to the callback when it is executed.
+ * See the documentation for `parsec.configure`.
  * @param {Function} callback 
  * @param  {...any} args 
  */
 export function immediatelyQueue(callback, ...args) {
-    setTimeout(callback, 0, ...args);
+    queue(callback, ...args);
 }
 
 /**
@@ -27,23 +31,89 @@ export function isFunction(candidate) {
 }
 
 /**
- * Creates a "reason" object which is used for error handling.
- * The reason object contains all properties found in objects created from the 
- * `Error` function constructor as well as an optional `evidence` property. The 
- * `evidence` property can be whatever the caller of this method needs it to be.
- * @param {Object} spec Configures the reason
- * @param {String} spec.factoryName
- * @param {String} spec.excuse 
- * @param {any} spec.evidence
- * @returns 
+ * Calls the callback when any of the provided signals aborts.
+ * The callback receives the reason of the signal which aborted. If a signal 
+ * has already aborted, the callback is called immediately. The callback is 
+ * called at most once.
+ * @param {AbortSignal[]} signals Nonexistent signals are ignored.
+ * @param {Function} callback 
+ * @returns {Function} Removes the abort listeners. Call this once the 
+ * callback is no longer needed.
  */
-export function makeReason(spec) {
-    const { factoryName, excuse, evidence } = spec;
+export function onAbort(signals, callback) {
+    signals = signals.filter(exists);
 
-    const excuseText = exists(excuse) ? "" : `:${excuse}`;
-    const error = new Error(`parsec.${factoryName}${excuseText}`);
-    
-    return Object.assign(error, { evidence });
+    function listener(event) {
+        removeListeners();
+        callback(event.target.reason);
+    }
+
+    function removeListeners() {
+        signals.forEach(signal => 
+            signal.removeEventListener("abort", listener));
+    }
+
+    const abortedSignal = signals.find(signal => signal.aborted);
+    if (exists(abortedSignal)) {
+        callback(abortedSignal.reason);
+        return () => {};
+    }
+
+    signals.forEach(signal => signal.addEventListener("abort", listener));
+    return removeListeners;
+}
+
+/**
+ * Creates the reason a factory's requestor fails with when the `spec.signal` 
+ * given to the factory aborts.
+ * @param {String} factoryName 
+ * @param {any} signalReason The reason of the signal.
+ * @returns {ParsecCancelError}
+ */
+export function createAbortReason(factoryName, signalReason) {
+    return new ParsecCancelError({
+        factoryName,
+        excuse: "The signal was aborted!",
+        cause: signalReason
+    });
+}
+
+/**
+ * Returns true if the candidate has the shape of a map of keys to requestors: 
+ * an object which is neither an array nor an iterable. Its values are not 
+ * looked at, so a map with a broken entry is still a map. See 
+ * `checkRequestorMap`.
+ * @param {any} candidate 
+ * @returns {Boolean}
+ */
+export function isRequestorMap(candidate) {
+    return candidate !== null
+        && typeof candidate === "object"
+        && !Array.isArray(candidate)
+        && !isFunction(candidate[Symbol.iterator])
+        && !isFunction(candidate[Symbol.asyncIterator]);
+}
+
+/**
+ * Throws a reason naming the first key of a requestor map which does not map 
+ * to a proper requestor.
+ * @param {Object} requestorMap 
+ * @param {String} factoryName 
+ */
+export function checkRequestorMap(requestorMap, factoryName) {
+    Object.entries(requestorMap).forEach(([key, requestor]) => {
+        try {
+            checkRequestors([requestor], factoryName);
+        }
+        catch(reason) {
+            throw new ParsecValidationError({
+                factoryName,
+                excuse: `The requestor for "${key}" must be a function of ` + 
+                        "1, 2 or 3 arguments!",
+                evidence: requestorMap
+            });
+        }
+    });
 }
 
 /**
@@ -58,10 +128,10 @@ export function getArrayLength(candidateArray, factoryName) {
     if (Array.isArray(candidateArray)) return candidateArray.length;
     if (!exists(candidateArray)) return 0;
     
-    throw makeReason({ 
-        factory_name: factoryName, 
+    throw new ParsecValidationError({ 
+        factoryName, 
         excuse: "Not an array!", 
-        array: candidateArray 
+        evidence: candidateArray 
     });
     
 }
@@ -74,7 +144,7 @@ export function getArrayLength(candidateArray, factoryName) {
  * @returns {Boolean} 
  */
 export function checkReceiver(callback, factoryName) {
-    if (!isFunction(callback) && callback.length !== 1) throw makeReason({
+    if (!isFunction(callback)) throw new ParsecValidationError({
         factoryName,
         excuse: "A receiver must be a function of one argument!",
         evidence: callback
@@ -89,10 +159,10 @@ export function checkReceiver(callback, factoryName) {
 export function checkRequestors(requestors, factoryName) {
     if (requestors.some(requestor => !isFunction(requestor) 
                                      || requestor.length < 1
-                                     || requestor.length > 2))
-        throw makeReason({
-            factory_name: factoryName,
-            excuse: "Requestors must be functions of 1 or 2 arguments!",
+                                     || requestor.length > 3))
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "Requestors must be functions of 1, 2 or 3 arguments!",
             evidence: requestors
         });
 }
@@ -0,0 +1,208 @@
+import { exists, isFunction } from "../lib/utils.js";
+
+/**
+ * Thrown by the assertion helpers when an assertion does not hold.
+ * `actual` and `expected` are set where they are meaningful, which lets most
+ * test runners display a diff.
+ */
+export class AssertionError extends Error {
+    /**
+     * @param {String} message
+     * @param {Object} details Optional. An object with `actual` and
+     * `expected` properties.
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "AssertionError";
+        this.actual = details.actual;
+        this.expected = details.expected;
+    }
+}
+
+/**
+ * Returns true if the reason matches the expectation.
+ * An expected class matches instances of it, an expected string matches
+ * reasons with that `code`, and anything else must be the same value.
+ * @param {any} actual
+ * @param {any} expected
+ * @returns {Boolean}
+ */
+function matchesReason(actual, expected) {
+    if (isFunction(expected)) return actual instanceof expected;
+    if (
+        typeof expected === "string"
+        && exists(actual)
+        && actual !== null
+        && actual.code === expected
+    )
+        return true;
+    return Object.is(actual, expected);
+}
+
+/**
+ * Returns the only result a recording receiver was given, or throws.
+ * @param {Function} receiver
+ * @returns {Object}
+ */
+function getOnlyResult(receiver) {
+    assertCalledOnce(receiver);
+    return receiver.results[0];
+}
+
+/**
+ * Returns a call record of a fake requestor, or throws if there is none.
+ * @param {Function} fake
+ * @param {Number} callIndex Optional. Defaults to the latest call.
+ * @returns {Object}
+ */
+function getCall(fake, callIndex = fake.calls.length - 1) {
+    const call = fake.calls[callIndex];
+    if (!exists(call))
+        throw new AssertionError(
+            `Expected the fake requestor to have call ${callIndex}, but it ` +
+            `was called ${fake.calls.length} times.`
+        );
+    return call;
+}
+
+/**
+ * Asserts that a recording receiver was called exactly once.
+ * @param {Function} receiver A receiver made by `createRecordingReceiver`.
+ */
+export function assertCalledOnce(receiver) {
+    const { length } = receiver.results;
+    if (length !== 1)
+        throw new AssertionError(
+            `Expected the receiver to be called once, but it was called ` +
+            `${length} times.`,
+            { actual: length, expected: 1 }
+        );
+}
+
+/**
+ * Asserts that a recording receiver was called exactly once, with a value.
+ * @param {Function} receiver A receiver made by `createRecordingReceiver`.
+ * @param {any} expectedValue Optional. If given, the value must be this
+ * value, compared with `Object.is`.
+ */
+export function assertSucceeded(receiver, ...expectedValue) {
+    const { value, reason } = getOnlyResult(receiver);
+
+    if (!exists(value))
+        throw new AssertionError(
+            "Expected the receiver to be given a value, but it failed.",
+            { actual: reason }
+        );
+
+    if (expectedValue.length > 0 && !Object.is(value, expectedValue[0]))
+        throw new AssertionError(
+            "The receiver was given a different value.",
+            { actual: value, expected: expectedValue[0] }
+        );
+}
+
+/**
+ * Asserts that a recording receiver was called exactly once, without a value.
+ * @param {Function} receiver A receiver made by `createRecordingReceiver`.
+ * @param {any} expectedReason Optional. If a class, the reason must be an
+ * instance of it. If a string, the reason's `code` may match it. Otherwise
+ * the reason must be this value.
+ */
+export function assertFailed(receiver, ...expectedReason) {
+    const { value, reason } = getOnlyResult(receiver);
+
+    if (exists(value))
+        throw new AssertionError(
+            "Expected the receiver to fail, but it was given a value.",
+            { actual: value }
+        );
+
+    if (
+        expectedReason.length > 0
+        && !matchesReason(reason, expectedReason[0])
+    )
+        throw new AssertionError(
+            "The receiver failed for a different reason.",
+            { actual: reason, expected: expectedReason[0] }
+        );
+}
+
+/**
+ * Asserts that a call to a fake requestor was cancelled.
+ * @param {Function} fake A requestor made by `createFakeRequestor`.
+ * @param {any} expectedReason Optional. Matched the same way as in
+ * `assertFailed`. Pass `undefined` to skip the check while giving a
+ * `callIndex`.
+ * @param {Number} callIndex Optional. Defaults to the latest call.
+ */
+export function assertCancelled(fake, expectedReason, callIndex) {
+    const call = getCall(fake, callIndex);
+
+    if (!call.cancelled)
+        throw new AssertionError(
+            "Expected the fake requestor to be cancelled, but it was not."
+        );
+
+    if (
+        exists(expectedReason)
+        && !matchesReason(call.cancelReason, expectedReason)
+    )
+        throw new AssertionError(
+            "The fake requestor was cancelled for a different reason.",
+            { actual: call.cancelReason, expected: expectedReason }
+        );
+}
+
+/**
+ * Asserts that a call to a fake requestor was not cancelled.
+ * @param {Function} fake A requestor made by `createFakeRequestor`.
+ * @param {Number} callIndex Optional. Defaults to the latest call.
+ */
+export function assertNotCancelled(fake, callIndex) {
+    const call = getCall(fake, callIndex);
+
+    if (call.cancelled)
+        throw new AssertionError(
+            "Expected the fake requestor not to be cancelled, but it was.",
+            { actual: call.cancelReason }
+        );
+}
+
+/**
+ * Asserts that a fake requestor was never called.
+ * @param {Function} fake A requestor made by `createFakeRequestor`.
+ */
+export function assertNotStarted(fake) {
+    const { length } = fake.calls;
+    if (length > 0)
+        throw new AssertionError(
+            `Expected the fake requestor not to be started, but it was ` +
+            `called ${length} times.`,
+            { actual: length, expected: 0 }
+        );
+}
+
+/**
+ * Asserts that fake requestors were first called in the given order.
+ * @param {Function[]} fakes Requestors made by `createFakeRequestor`.
+ */
+export function assertStartOrder(fakes) {
+    const startNumbers = fakes.map((fake, index) => {
+        if (fake.calls.length === 0)
+            throw new AssertionError(
+                `Expected fake requestor ${index} to be started, but it ` +
+                "was not."
+            );
+        return fake.calls[0].startNumber;
+    });
+
+    const actualOrder = fakes
+        .map((_, index) => index)
+        .sort((a, b) => startNumbers[a] - startNumbers[b]);
+
+    if (actualOrder.some((fakeIndex, index) => fakeIndex !== index))
+        throw new AssertionError(
+            "The fake requestors were started in a different order.",
+            { actual: actualOrder, expected: fakes.map((_, index) => index) }
+        );
+}
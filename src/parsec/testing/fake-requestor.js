@@ -0,0 +1,225 @@
+import { FactoryName } from "../lib/constants.js";
+import { ParsecValidationError } from "../lib/errors.js";
+import { exists, checkReceiver, onAbort } from "../lib/utils.js";
+import { setTimer, clearTimer, now } from "../lib/scheduler.js";
+
+/**
+ * Determines what a fake requestor does when it is called.
+ * There are five keys in FakeBehavior:
+ *
+ *  - `"SUCCEED"`: Call the receiver with `value` after `delay` milliseconds.
+ *  - `"FAIL"`: Call the receiver with `reason` after `delay` milliseconds.
+ *  - `"HANG"`: Never call the receiver.
+ *  - `"THROW"`: Throw `reason` instead of calling the receiver.
+ *  - `"CALL_TWICE"`: Call the receiver with `value` twice after `delay`
+ * milliseconds. A proper requestor never does this.
+ */
+export const FakeBehavior = Object.freeze({
+    SUCCEED: "succeed",
+    FAIL: "fail",
+    HANG: "hang",
+    THROW: "throw",
+    CALL_TWICE: "call twice"
+});
+
+const allFakeBehaviors = Object.freeze(Object.values(FakeBehavior));
+
+// Counts every call to every fake requestor, so the order in which fakes were
+// started can be compared.
+let nextStartNumber = 0;
+
+/**
+ * Throws a reason if the step is not a proper step of a script.
+ * @param {Object} step
+ */
+function checkStep(step) {
+    const factoryName = FactoryName.TESTING;
+
+    if (step === null || typeof step !== "object")
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "A fake requestor must be given an object or an array " +
+                    "of objects!",
+            evidence: step
+        });
+
+    const { behavior = FakeBehavior.SUCCEED, delay = 0 } = step;
+
+    if (!allFakeBehaviors.includes(behavior))
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "behavior must be one of: " + allFakeBehaviors.join(", "),
+            evidence: behavior
+        });
+
+    if (typeof delay !== "number" || !(delay >= 0))
+        throw new ParsecValidationError({
+            factoryName,
+            excuse: "delay must be a nonnegative number!",
+            evidence: delay
+        });
+}
+
+/**
+ * Creates a requestor which behaves as scripted and records how it was used.
+ *
+ * @example
+ * ```
+ * import parsec from "./parsec";
+ * import testing from "./parsec/testing";
+ *
+ * const { FakeBehavior } = testing;
+ *
+ * // fails twice, then succeeds
+ * const flaky = testing.createFakeRequestor([
+ *     { behavior: FakeBehavior.FAIL, reason: "busy" },
+ *     { behavior: FakeBehavior.FAIL, reason: "busy" },
+ *     { value: "cheese", delay: 50 }
+ * ]);
+ *
+ * const receiver = testing.createRecordingReceiver();
+ * parsec.retry(flaky, { maxAttempts: 3 })(receiver);
+ *
+ * // later
+ * testing.assertSucceeded(receiver, "cheese");
+ * console.log(flaky.calls.length); // 3
+ * ```
+ *
+ * `spec` is a step, or an array of steps. A step is an object with the
+ * following properties:
+ *
+ *  - `behavior`: One of the values in `FakeBehavior`. Defaults to
+ * `FakeBehavior.SUCCEED`.
+ *  - `delay`: The number of milliseconds before the receiver is called.
+ * Defaults to 0. The receiver is never called synchronously.
+ *  - `value`: The value given to the receiver. Defaults to `true`.
+ *  - `reason`: The reason given to the receiver, or thrown.
+ *
+ * If an array of steps is given, each call to the requestor follows the next
+ * step, and the last step is repeated once the script runs out.
+ *
+ * Delays use parsec's scheduler, so they can be controlled with a virtual
+ * clock. See the documentation for `parsec.configure`.
+ *
+ * The returned requestor has a `calls` property: an array with a record of
+ * each call, in the order they were made. A record has the following
+ * properties:
+ *
+ *  - `message`: The message the requestor was given.
+ *  - `signal`: The `AbortSignal` the requestor was given, if any.
+ *  - `startNumber`: A number which increases with every call to any fake
+ * requestor. Compare these to find the order fakes were started in.
+ *  - `startTime`: The scheduler's time when the call was made.
+ *  - `results`: An array of every `{ value, reason }` object given to the
+ * receiver.
+ *  - `settled`: Whether the receiver has been called or the requestor threw.
+ *  - `cancelled`: Whether the call was cancelled, either with the returned
+ * cancellor or with the signal.
+ *  - `cancelReason`: The reason the call was cancelled with.
+ *  - `cancelTime`: The scheduler's time when the call was cancelled.
+ *
+ * @param {Object|Object[]} spec A step, or an array of steps.
+ * @returns {Function} A requestor.
+ */
+export function createFakeRequestor(spec = {}) {
+    const steps = Array.isArray(spec) ? spec : [spec];
+
+    if (steps.length === 0)
+        throw new ParsecValidationError({
+            factoryName: FactoryName.TESTING,
+            excuse: "A script needs at least one step!",
+            evidence: spec
+        });
+
+    steps.forEach(checkStep);
+
+    const calls = [];
+
+    function fakeRequestor(receiver, message, signal) {
+        checkReceiver(receiver, FactoryName.TESTING);
+
+        const {
+            behavior = FakeBehavior.SUCCEED,
+            delay = 0,
+            value = true,
+            reason
+        } = steps[Math.min(calls.length, steps.length - 1)];
+
+        const call = {
+            message,
+            signal,
+            startNumber: nextStartNumber++,
+            startTime: now(),
+            results: [],
+            settled: false,
+            cancelled: false,
+            cancelReason: undefined,
+            cancelTime: undefined
+        };
+        calls.push(call);
+
+        let timer;
+        let removeAbortListeners;
+
+        function settle(result) {
+            call.settled = true;
+            call.results.push(result);
+            receiver(result);
+        }
+
+        function cancel(cancelReason) {
+            if (call.cancelled) return;
+            call.cancelled = true;
+            call.cancelReason = cancelReason;
+            call.cancelTime = now();
+
+            if (exists(timer)) {
+                clearTimer(timer);
+                timer = undefined;
+            }
+            if (exists(removeAbortListeners)) removeAbortListeners();
+        }
+
+        if (behavior === FakeBehavior.THROW) {
+            call.settled = true;
+            throw reason;
+        }
+
+        if (behavior !== FakeBehavior.HANG)
+            timer = setTimer(() => {
+                timer = undefined;
+                if (exists(removeAbortListeners)) removeAbortListeners();
+
+                if (behavior === FakeBehavior.FAIL) return settle({ reason });
+
+                settle({ value });
+                if (behavior === FakeBehavior.CALL_TWICE) settle({ value });
+            }, delay);
+
+        removeAbortListeners = onAbort([signal], cancel);
+
+        return cancel;
+    }
+
+    return Object.freeze(Object.defineProperty(fakeRequestor, "calls", {
+        value: calls
+    }));
+}
+
+/**
+ * Creates a receiver which records every result it is given.
+ * The receiver has a `results` property, an array of every `{ value, reason }`
+ * object it was called with.
+ * @returns {Function} A receiver.
+ */
+export function createRecordingReceiver() {
+    const results = [];
+
+    function recordingReceiver(result) {
+        results.push(result);
+    }
+
+    return Object.freeze(Object.defineProperty(recordingReceiver, "results", {
+        value: results
+    }));
+}
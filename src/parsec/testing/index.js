@@ -0,0 +1,73 @@
+import {
+    FakeBehavior,
+    createFakeRequestor,
+    createRecordingReceiver
+} from "./fake-requestor.js";
+import {
+    AssertionError,
+    assertCalledOnce,
+    assertSucceeded,
+    assertFailed,
+    assertCancelled,
+    assertNotCancelled,
+    assertNotStarted,
+    assertStartOrder
+} from "./assertions.js";
+
+/**
+ * Tools for testing code which uses parsec.
+ *
+ * `testing.createFakeRequestor` creates requestors which succeed, fail, hang,
+ * throw or misbehave on cue, and which record their messages, signals and
+ * cancellations. `testing.createRecordingReceiver` creates a receiver which
+ * records its results. See the documentation for `testing.FakeBehavior`.
+ *
+ * The assertion helpers throw a `testing.AssertionError` when they do not
+ * hold:
+ *
+ *  - `assertCalledOnce(receiver)`
+ *  - `assertSucceeded(receiver, value)`
+ *  - `assertFailed(receiver, reason)`
+ *  - `assertCancelled(fake, reason, callIndex)`
+ *  - `assertNotCancelled(fake, callIndex)`
+ *  - `assertNotStarted(fake)`
+ *  - `assertStartOrder(fakes)`
+ *
+ * Fake requestors use parsec's scheduler, so a virtual clock makes tests with
+ * them instant.
+ *
+ * @example
+ * ```
+ * import parsec from "./parsec";
+ * import testing from "./parsec/testing";
+ *
+ * const clock = parsec.createVirtualClock();
+ * parsec.configure({ scheduler: clock });
+ *
+ * const fast = testing.createFakeRequestor({ value: "fast", delay: 10 });
+ * const slow = testing.createFakeRequestor({ value: "slow", delay: 100 });
+ * const receiver = testing.createRecordingReceiver();
+ *
+ * parsec.race([slow, fast])(receiver);
+ * clock.runAll();
+ *
+ * testing.assertSucceeded(receiver, "fast");
+ * testing.assertCancelled(slow, parsec.ParsecCancelError);
+ * testing.assertStartOrder([slow, fast]);
+ * ```
+ */
+const testing = Object.freeze({
+    createFakeRequestor,
+    createRecordingReceiver,
+    FakeBehavior,
+    AssertionError,
+    assertCalledOnce,
+    assertSucceeded,
+    assertFailed,
+    assertCancelled,
+    assertNotCancelled,
+    assertNotStarted,
+    assertStartOrder
+});
+
+export default testing;
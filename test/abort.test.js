@@ -0,0 +1,112 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import parsec from "../src/parsec/index.js";
+import testing from "../src/parsec/testing/index.js";
+
+const { FakeBehavior } = testing;
+
+describe("aborting", () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = parsec.createVirtualClock();
+        parsec.configure({ scheduler: clock });
+    });
+
+    afterEach(() => {
+        parsec.configure({ scheduler: parsec.systemScheduler });
+    });
+
+    function createStuck() {
+        return testing.createFakeRequestor({ behavior: FakeBehavior.HANG });
+    }
+
+    it("cancels every requestor when the cancellor is called", () => {
+        const first = createStuck();
+        const second = createStuck();
+        const receiver = testing.createRecordingReceiver();
+
+        const cancel = parsec.parallel([first, second])(receiver);
+        clock.runAll();
+        cancel("stop");
+
+        testing.assertCancelled(first, "stop");
+        testing.assertCancelled(second, "stop");
+        assert.equal(receiver.results.length, 0);
+    });
+
+    it("cancels every requestor when the call's signal aborts", () => {
+        const first = createStuck();
+        const second = createStuck();
+        const receiver = testing.createRecordingReceiver();
+        const controller = new AbortController();
+
+        parsec.race([first, second])(receiver, undefined, controller.signal);
+        clock.runAll();
+        controller.abort("stop");
+
+        testing.assertCancelled(first, "stop");
+        testing.assertCancelled(second, "stop");
+        assert.equal(receiver.results.length, 0);
+    });
+
+    it("fails with a ParsecCancelError when spec.signal aborts", () => {
+        const stuck = createStuck();
+        const receiver = testing.createRecordingReceiver();
+        const controller = new AbortController();
+
+        parsec.sequence([stuck], { signal: controller.signal })(receiver);
+        clock.runAll();
+        controller.abort("shutting down");
+
+        testing.assertFailed(receiver, parsec.ParsecCancelError);
+        assert.equal(receiver.results[0].reason.cause, "shutting down");
+        testing.assertCancelled(stuck);
+    });
+
+    it("starts nothing if spec.signal has already aborted", () => {
+        const fake = testing.createFakeRequestor({ value: "cheese" });
+        const receiver = testing.createRecordingReceiver();
+        const controller = new AbortController();
+        controller.abort("too late");
+
+        parsec.parallel([fake], { signal: controller.signal })(receiver);
+        clock.runAll();
+
+        testing.assertFailed(receiver, parsec.ParsecCancelError);
+        testing.assertNotStarted(fake);
+    });
+
+    it("stops a retry waiting between attempts when spec.signal aborts", 
+    () => {
+        const failing = testing.createFakeRequestor({ 
+            behavior: FakeBehavior.FAIL, 
+            reason: "busy" 
+        });
+        const receiver = testing.createRecordingReceiver();
+        const controller = new AbortController();
+
+        parsec.retry(failing, { 
+            delay: 100, 
+            signal: controller.signal 
+        })(receiver);
+        clock.advance(50);
+        controller.abort("stop");
+        clock.runAll();
+
+        testing.assertFailed(receiver, parsec.ParsecCancelError);
+        assert.equal(failing.calls.length, 1);
+    });
+
+    it("cancels the requestors of a timed out factory", () => {
+        const stuck = createStuck();
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.race([stuck], { timeLimit: 100 })(receiver);
+        clock.runAll();
+
+        testing.assertFailed(receiver, parsec.ParsecTimeoutError);
+        testing.assertCancelled(stuck, parsec.ParsecTimeoutError);
+        assert.equal(stuck.calls[0].cancelTime, 100);
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import parsec from "../src/parsec/index.js";
+import testing from "../src/parsec/testing/index.js";
+
+const { FakeBehavior } = testing;
+
+describe("cache", () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = parsec.createVirtualClock();
+        parsec.configure({ scheduler: clock });
+    });
+
+    afterEach(() => {
+        parsec.configure({ scheduler: parsec.systemScheduler });
+    });
+
+    it("shares a request in flight between calls with the same key", () => {
+        const fake = testing.createFakeRequestor({ value: "brie", delay: 50 });
+        const cached = parsec.cache(fake);
+        const first = testing.createRecordingReceiver();
+        const second = testing.createRecordingReceiver();
+
+        cached(first, "cheese");
+        clock.advance(25);
+        cached(second, "cheese");
+        clock.runAll();
+
+        assert.equal(fake.calls.length, 1);
+        testing.assertSucceeded(first, "brie");
+        testing.assertSucceeded(second, "brie");
+    });
+
+    it("makes separate requests for different keys", () => {
+        const fake = testing.createFakeRequestor({ delay: 50 });
+        const cached = parsec.cache(fake, { key: ({ name }) => name });
+
+        cached(testing.createRecordingReceiver(), { name: "brie" });
+        cached(testing.createRecordingReceiver(), { name: "feta" });
+        cached(testing.createRecordingReceiver(), { name: "brie" });
+        clock.runAll();
+
+        assert.deepEqual(
+            fake.calls.map(call => call.message.name), 
+            ["brie", "feta"]
+        );
+    });
+
+    it("serves cached values until they expire", () => {
+        const fake = testing.createFakeRequestor({ value: "brie" });
+        const cached = parsec.cache(fake, { ttl: 100 });
+        const receiver = testing.createRecordingReceiver();
+
+        cached(testing.createRecordingReceiver(), "cheese");
+        clock.runAll();
+        cached(receiver, "cheese");
+        testing.assertSucceeded(receiver, "brie");
+        assert.equal(fake.calls.length, 1);
+
+        clock.advance(100);
+        cached(testing.createRecordingReceiver(), "cheese");
+        assert.equal(fake.calls.length, 2);
+    });
+
+    it("does not cache failures unless asked to", () => {
+        const fake = testing.createFakeRequestor({ 
+            behavior: FakeBehavior.FAIL, 
+            reason: "busy" 
+        });
+        const cached = parsec.cache(fake);
+
+        cached(testing.createRecordingReceiver(), "cheese");
+        clock.runAll();
+        cached(testing.createRecordingReceiver(), "cheese");
+        clock.runAll();
+
+        assert.equal(fake.calls.length, 2);
+    });
+
+    it("keeps the shared request going while any call waits for it", () => {
+        const fake = testing.createFakeRequestor({ value: "brie", delay: 50 });
+        const cached = parsec.cache(fake);
+        const kept = testing.createRecordingReceiver();
+
+        const cancel = cached(testing.createRecordingReceiver(), "cheese");
+        cached(kept, "cheese");
+        cancel();
+        clock.runAll();
+
+        testing.assertNotCancelled(fake);
+        testing.assertSucceeded(kept, "brie");
+    });
+
+    it("cancels the shared request once every call is cancelled", () => {
+        const fake = testing.createFakeRequestor({ delay: 50 });
+        const cached = parsec.cache(fake);
+
+        const cancels = [1, 2].map(() => 
+            cached(testing.createRecordingReceiver(), "cheese")
+        );
+        cancels.forEach(cancel => cancel());
+
+        testing.assertCancelled(fake, parsec.ParsecCancelError);
+        assert.equal(cached.size, 0);
+    });
+});
@@ -0,0 +1,103 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import parsec from "../src/parsec/index.js";
+import testing from "../src/parsec/testing/index.js";
+
+const { FakeBehavior } = testing;
+const { CircuitState } = parsec;
+
+describe("circuitBreaker", () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = parsec.createVirtualClock();
+        parsec.configure({ scheduler: clock });
+    });
+
+    afterEach(() => {
+        parsec.configure({ scheduler: parsec.systemScheduler });
+    });
+
+    function fail(delay) {
+        return { behavior: FakeBehavior.FAIL, reason: "down", delay };
+    }
+
+    function watch(breaker) {
+        const changes = [];
+        breaker.onStateChange(({ state }) => 
+            changes.push([clock.now(), state])
+        );
+        return changes;
+    }
+
+    it("opens after enough failures in a row and fails fast", () => {
+        const fake = testing.createFakeRequestor(fail());
+        const breaker = parsec.circuitBreaker(fake, { failureThreshold: 2 });
+        const receiver = testing.createRecordingReceiver();
+
+        breaker(testing.createRecordingReceiver());
+        breaker(testing.createRecordingReceiver());
+        clock.advance(0);
+        assert.equal(breaker.state, CircuitState.OPEN);
+
+        breaker(receiver);
+        testing.assertFailed(receiver, parsec.ParsecCircuitOpenError);
+        assert.equal(fake.calls.length, 2);
+    });
+
+    it("becomes half open on its own once the reset timeout passes", () => {
+        const fake = testing.createFakeRequestor(fail());
+        const breaker = parsec.circuitBreaker(fake, { 
+            failureThreshold: 1, 
+            resetTimeout: 100 
+        });
+        const changes = watch(breaker);
+
+        breaker(testing.createRecordingReceiver());
+        clock.runAll();
+
+        assert.deepEqual(changes, [
+            [0, CircuitState.OPEN], 
+            [100, CircuitState.HALF_OPEN]
+        ]);
+    });
+
+    it("closes when a trial succeeds, and opens when one fails", () => {
+        const fake = testing.createFakeRequestor([fail(), {}, fail()]);
+        const breaker = parsec.circuitBreaker(fake, { 
+            failureThreshold: 1, 
+            resetTimeout: 100 
+        });
+
+        breaker(testing.createRecordingReceiver());
+        clock.advance(100);
+        breaker(testing.createRecordingReceiver());
+        clock.advance(0);
+        assert.equal(breaker.state, CircuitState.CLOSED);
+
+        breaker(testing.createRecordingReceiver());
+        clock.advance(0);
+        assert.equal(breaker.state, CircuitState.OPEN);
+    });
+
+    it("only lets trials close a half open circuit", () => {
+        const fake = testing.createFakeRequestor([{ delay: 150 }, fail()]);
+        const breaker = parsec.circuitBreaker(fake, { 
+            failureThreshold: 1, 
+            resetTimeout: 100 
+        });
+        const slow = testing.createRecordingReceiver();
+
+        breaker(slow);
+        breaker(testing.createRecordingReceiver());
+        clock.advance(120);
+        assert.equal(breaker.state, CircuitState.HALF_OPEN);
+
+        // The slow call started while the circuit was closed, so it is not 
+        // a trial.
+        clock.advance(30);
+
+        testing.assertSucceeded(slow);
+        assert.equal(breaker.state, CircuitState.HALF_OPEN);
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import parsec from "../src/parsec/index.js";
+import testing from "../src/parsec/testing/index.js";
+
+const { FakeBehavior } = testing;
+
+describe("hedge", () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = parsec.createVirtualClock();
+        parsec.configure({ scheduler: clock });
+    });
+
+    afterEach(() => {
+        parsec.configure({ scheduler: parsec.systemScheduler });
+    });
+
+    function getStartTimes(fakes) {
+        return fakes.map(fake => fake.calls[0]?.startTime);
+    }
+
+    it("starts each backup once its delay has passed", () => {
+        const replicas = ["a", "b", "c"].map(value => 
+            testing.createFakeRequestor({ value, delay: 1000 })
+        );
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.hedge(replicas, { delays: [50, 100] })(receiver);
+        clock.runAll();
+
+        assert.deepEqual(getStartTimes(replicas), [0, 50, 150]);
+        testing.assertSucceeded(receiver, "a");
+        testing.assertCancelled(replicas[1], parsec.ParsecCancelError);
+        testing.assertCancelled(replicas[2], parsec.ParsecCancelError);
+    });
+
+    it("uses one delay for every backup if given a number", () => {
+        const replicas = ["a", "b", "c"].map(value => 
+            testing.createFakeRequestor({ value, delay: 1000 })
+        );
+
+        parsec.hedge(replicas, { delays: 30 })(
+            testing.createRecordingReceiver()
+        );
+        clock.runAll();
+
+        assert.deepEqual(getStartTimes(replicas), [0, 30, 60]);
+    });
+
+    it("starts no backups if the first requestor succeeds in time", () => {
+        const first = testing.createFakeRequestor({ value: "a", delay: 40 });
+        const backup = testing.createFakeRequestor({ value: "b" });
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.hedge([first, backup], { delays: 50 })(receiver);
+        clock.runAll();
+
+        testing.assertSucceeded(receiver, "a");
+        testing.assertNotStarted(backup);
+    });
+
+    it("starts the next backup right away when a requestor fails", () => {
+        const first = testing.createFakeRequestor({ 
+            behavior: FakeBehavior.FAIL, 
+            reason: "down", 
+            delay: 10 
+        });
+        const backup = testing.createFakeRequestor({ value: "b", delay: 10 });
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.hedge([first, backup], { delays: 50 })(receiver);
+        clock.runAll();
+
+        assert.equal(backup.calls[0].startTime, 10);
+        testing.assertSucceeded(receiver, "b");
+    });
+
+    it("fails with every reason when every requestor fails", () => {
+        const replicas = ["a", "b"].map(name => 
+            testing.createFakeRequestor({ 
+                behavior: FakeBehavior.FAIL, 
+                reason: `${name} down` 
+            })
+        );
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.hedge(replicas, { delays: 50 })(receiver);
+        clock.runAll();
+
+        testing.assertFailed(receiver, parsec.ParsecAggregateError);
+        assert.deepEqual(
+            receiver.results[0].reason.errors, 
+            ["a down", "b down"]
+        );
+    });
+});
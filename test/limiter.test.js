@@ -0,0 +1,121 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import parsec from "../src/parsec/index.js";
+import testing from "../src/parsec/testing/index.js";
+
+describe("createLimiter", () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = parsec.createVirtualClock();
+        parsec.configure({ scheduler: clock });
+    });
+
+    afterEach(() => {
+        parsec.configure({ scheduler: parsec.systemScheduler });
+    });
+
+    /**
+     * Takes the only slot of the limiter, and returns a function which gives 
+     * it back.
+     */
+    function takeSlot(limiter) {
+        let release;
+        limiter.acquire(releaseSlot => release = releaseSlot);
+        clock.advance(0);
+        return () => release();
+    }
+
+    it("runs no more requestors at once than its capacity", () => {
+        const limiter = parsec.createLimiter(2);
+        const fakes = [1, 2, 3, 4].map(() => 
+            testing.createFakeRequestor({ delay: 10 })
+        );
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.parallel(fakes, { limiter })(receiver);
+        clock.advance(0);
+        assert.equal(limiter.active, 2);
+        assert.equal(limiter.pending, 2);
+
+        clock.runAll();
+        testing.assertSucceeded(receiver);
+        assert.deepEqual(
+            fakes.map(fake => fake.calls[0].startTime), 
+            [0, 0, 10, 10]
+        );
+        assert.equal(limiter.active, 0);
+    });
+
+    it("shares its slots between factories", () => {
+        const limiter = parsec.createLimiter(1);
+        const first = testing.createFakeRequestor({ delay: 10 });
+        const second = testing.createFakeRequestor({ delay: 10 });
+
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.parallel([first], { limiter })(receiver);
+        clock.advance(0);
+        limiter.wrap(second)(receiver);
+        clock.runAll();
+
+        assert.equal(second.calls[0].startTime, 10);
+    });
+
+    it("gives a released slot to the highest priority", () => {
+        const limiter = parsec.createLimiter(1);
+        const release = takeSlot(limiter);
+        const order = [];
+
+        limiter.acquire(() => order.push("low"), 0);
+        limiter.acquire(() => order.push("high"), 5);
+        release();
+        clock.advance(0);
+
+        assert.deepEqual(order, ["high"]);
+    });
+
+    it("raises the priority of waiting requestors as they age", () => {
+        const limiter = parsec.createLimiter(1, { agingInterval: 10 });
+        const release = takeSlot(limiter);
+        const order = [];
+
+        limiter.acquire(() => order.push("old"), 0);
+        clock.advance(50);
+        limiter.acquire(() => order.push("new"), 3);
+        release();
+        clock.advance(0);
+
+        // Waiting 50ms is worth 5 priority levels.
+        assert.deepEqual(order, ["old"]);
+    });
+
+    it("does not age waiting requestors when aging is turned off", () => {
+        const limiter = parsec.createLimiter(1, { agingInterval: Infinity });
+        const release = takeSlot(limiter);
+        const order = [];
+
+        limiter.acquire(() => order.push("old"), 0);
+        clock.advance(50);
+        limiter.acquire(() => order.push("new"), 3);
+        release();
+        clock.advance(0);
+
+        assert.deepEqual(order, ["new"]);
+    });
+
+    it("forgets a requestor which is cancelled while waiting", () => {
+        const limiter = parsec.createLimiter(1);
+        const release = takeSlot(limiter);
+        const waiting = testing.createFakeRequestor();
+
+        const cancel = limiter.wrap(waiting)(testing.createRecordingReceiver());
+        assert.equal(limiter.pending, 1);
+        cancel();
+        assert.equal(limiter.pending, 0);
+
+        release();
+        clock.runAll();
+        testing.assertNotStarted(waiting);
+    });
+});
@@ -0,0 +1,185 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import parsec from "../src/parsec/index.js";
+import testing from "../src/parsec/testing/index.js";
+
+const { FakeBehavior } = testing;
+
+/**
+ * Drops the keys of a result which are undefined, so results can be compared 
+ * with `deepEqual`.
+ */
+function compact({ value, reason }) {
+    return reason === undefined ? { value } : { reason };
+}
+
+describe("parallel with requestor maps", () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = parsec.createVirtualClock();
+        parsec.configure({ scheduler: clock });
+    });
+
+    afterEach(() => {
+        parsec.configure({ scheduler: parsec.systemScheduler });
+    });
+
+    it("succeeds with the results under the same keys", () => {
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.parallel({
+            user: testing.createFakeRequestor({ value: "ada", delay: 20 }),
+            nav: testing.createFakeRequestor({ value: "home", delay: 10 })
+        })(receiver);
+        clock.runAll();
+
+        testing.assertSucceeded(receiver);
+        const { user, nav } = receiver.results[0].value;
+        assert.deepEqual(compact(user), { value: "ada" });
+        assert.deepEqual(compact(nav), { value: "home" });
+    });
+
+    it("includes optional requestors given by key", () => {
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.parallel(
+            { 
+                user: testing.createFakeRequestor({ value: "ada", delay: 20 }) 
+            },
+            {
+                optionals: {
+                    ads: testing.createFakeRequestor({ 
+                        behavior: FakeBehavior.FAIL, 
+                        reason: "blocked",
+                        delay: 10
+                    })
+                }
+            }
+        )(receiver);
+        clock.runAll();
+
+        const { user, ads } = receiver.results[0].value;
+        assert.deepEqual(compact(user), { value: "ada" });
+        assert.deepEqual(compact(ads), { reason: "blocked" });
+    });
+
+    it("applies eachTimeLimit by key", () => {
+        const receiver = testing.createRecordingReceiver();
+        const slow = testing.createFakeRequestor({ value: "slow", delay: 100 });
+
+        parsec.parallel(
+            {},
+            {
+                optionals: {
+                    slow,
+                    fast: testing.createFakeRequestor({ value: "fast" })
+                },
+                eachTimeLimit: { slow: 50 }
+            }
+        )(receiver);
+        clock.runAll();
+
+        const { value } = receiver.results[0];
+        assert.equal(value.fast.value, "fast");
+        assert.ok(value.slow.reason instanceof parsec.ParsecTimeoutError);
+        testing.assertCancelled(slow, parsec.ParsecTimeoutError);
+    });
+
+    it("fails when a necessity given by key fails", () => {
+        const receiver = testing.createRecordingReceiver();
+        const other = testing.createFakeRequestor({ 
+            behavior: FakeBehavior.HANG 
+        });
+
+        parsec.parallel({
+            user: testing.createFakeRequestor({ 
+                behavior: FakeBehavior.FAIL, 
+                reason: "gone" 
+            }),
+            other
+        })(receiver);
+        clock.runAll();
+
+        testing.assertFailed(receiver, "gone");
+        testing.assertCancelled(other);
+    });
+
+    it("throws if a key does not map to a requestor", () => {
+        assert.throws(
+            () => parsec.parallel({ user: "ada" }), 
+            parsec.ParsecValidationError
+        );
+    });
+
+    it("throws if requestor maps are mixed with arrays", () => {
+        const fake = testing.createFakeRequestor();
+
+        assert.throws(
+            () => parsec.parallel({ fake }, { optionals: [fake] }), 
+            parsec.ParsecValidationError
+        );
+    });
+});
+
+describe("parallelMap", () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = parsec.createVirtualClock();
+        parsec.configure({ scheduler: clock });
+    });
+
+    afterEach(() => {
+        parsec.configure({ scheduler: parsec.systemScheduler });
+    });
+
+    it("pulls elements only when the throttle has room", () => {
+        const receiver = testing.createRecordingReceiver();
+        let pulled = 0;
+
+        function* numbers() {
+            for (let number = 0; number < 5; number++) {
+                pulled++;
+                yield number;
+            }
+        }
+
+        parsec.parallelMap(
+            number => testing.createFakeRequestor({ 
+                value: number * 2, 
+                delay: 10 
+            }),
+            { throttle: 2 }
+        )(receiver, numbers());
+
+        clock.advance(0);
+        assert.equal(pulled, 2);
+
+        clock.runAll();
+        assert.deepEqual(
+            receiver.results[0].value.map(({ value }) => value), 
+            [0, 2, 4, 6, 8]
+        );
+        assert.equal(clock.now(), 30);
+    });
+
+    it("counts a requestorFactory which throws as a failed element", () => {
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.parallelMap(
+            number => {
+                if (number === 2) throw "no twos";
+                return testing.createFakeRequestor({ value: number });
+            },
+            { throttle: 1, failFast: false }
+        )(receiver, [1, 2, 3]);
+        clock.runAll();
+
+        assert.deepEqual(receiver.results[0].value.map(compact), [
+            { value: 1 },
+            { reason: "no twos" },
+            { value: 3 }
+        ]);
+    });
+});
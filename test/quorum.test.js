@@ -0,0 +1,107 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import parsec from "../src/parsec/index.js";
+import testing from "../src/parsec/testing/index.js";
+
+const { FakeBehavior } = testing;
+
+describe("quorum", () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = parsec.createVirtualClock();
+        parsec.configure({ scheduler: clock });
+    });
+
+    afterEach(() => {
+        parsec.configure({ scheduler: parsec.systemScheduler });
+    });
+
+    function succeed(value, delay) {
+        return testing.createFakeRequestor({ value, delay });
+    }
+
+    function fail(reason, delay) {
+        return testing.createFakeRequestor({ 
+            behavior: FakeBehavior.FAIL, 
+            reason, 
+            delay 
+        });
+    }
+
+    it("succeeds once enough requestors succeed", () => {
+        const slow = succeed("c", 100);
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.quorum([succeed("a", 10), succeed("b", 20), slow], { 
+            required: 2 
+        })(receiver);
+        clock.runAll();
+
+        testing.assertSucceeded(receiver);
+        assert.deepEqual(receiver.results[0].value, ["a", "b"]);
+        testing.assertCancelled(slow, parsec.ParsecCancelError);
+    });
+
+    it("requires a majority by default", () => {
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.quorum([
+            succeed("a", 10), 
+            fail("b down", 20), 
+            succeed("c", 30)
+        ])(receiver);
+        clock.runAll();
+
+        assert.deepEqual(receiver.results[0].value, ["a", "c"]);
+    });
+
+    it("tolerates failures while the quorum can still be reached", () => {
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.quorum([
+            fail("a down", 10), 
+            succeed("b", 20), 
+            succeed("c", 30)
+        ], { required: 2 })(receiver);
+        clock.runAll();
+
+        testing.assertSucceeded(receiver);
+        assert.deepEqual(receiver.results[0].value, ["b", "c"]);
+    });
+
+    it("fails as soon as the quorum can't be reached", () => {
+        const last = succeed("c", 100);
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.quorum([fail("a down", 10), fail("b down", 20), last], { 
+            required: 2 
+        })(receiver);
+        clock.advance(20);
+
+        testing.assertFailed(receiver, parsec.ParsecAggregateError);
+        const { reason } = receiver.results[0];
+        assert.deepEqual(reason.errors, ["a down", "b down"]);
+        assert.deepEqual(
+            reason.evidence.map(({ requestorIndex }) => requestorIndex), 
+            [0, 1]
+        );
+        testing.assertCancelled(last);
+    });
+
+    it("fails with a timeout cause when the time limit is reached", () => {
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.quorum([succeed("a", 10), succeed("b", 100)], { 
+            required: 2, 
+            timeLimit: 50 
+        })(receiver);
+        clock.runAll();
+
+        testing.assertFailed(receiver, parsec.ParsecAggregateError);
+        assert.ok(
+            receiver.results[0].reason.cause instanceof 
+            parsec.ParsecTimeoutError
+        );
+    });
+});
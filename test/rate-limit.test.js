@@ -0,0 +1,88 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import parsec from "../src/parsec/index.js";
+import testing from "../src/parsec/testing/index.js";
+
+describe("rateLimit", () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = parsec.createVirtualClock();
+        parsec.configure({ scheduler: clock });
+    });
+
+    afterEach(() => {
+        parsec.configure({ scheduler: parsec.systemScheduler });
+    });
+
+    it("starts a burst at once, then one call per token", () => {
+        const fake = testing.createFakeRequestor();
+        const limited = parsec.rateLimit(fake, { 
+            tokensPerInterval: 2, 
+            interval: 1000 
+        });
+        const receivers = [1, 2, 3, 4].map(() => 
+            testing.createRecordingReceiver()
+        );
+
+        receivers.forEach(receiver => limited(receiver));
+        clock.runAll();
+
+        receivers.forEach(receiver => testing.assertSucceeded(receiver));
+        assert.deepEqual(
+            fake.calls.map(call => call.startTime), 
+            [0, 0, 500, 1000]
+        );
+    });
+
+    it("refills tokens while no calls are made", () => {
+        const fake = testing.createFakeRequestor();
+        const limited = parsec.rateLimit(fake, { 
+            tokensPerInterval: 1, 
+            interval: 100 
+        });
+
+        limited(testing.createRecordingReceiver());
+        clock.advance(100);
+        limited(testing.createRecordingReceiver());
+
+        assert.deepEqual(fake.calls.map(call => call.startTime), [0, 100]);
+    });
+
+    it("fails calls which wait longer than maxQueueWait", () => {
+        const fake = testing.createFakeRequestor();
+        const limited = parsec.rateLimit(fake, { 
+            tokensPerInterval: 1, 
+            interval: 1000,
+            maxQueueWait: 100 
+        });
+        const first = testing.createRecordingReceiver();
+        const second = testing.createRecordingReceiver();
+
+        limited(first);
+        limited(second);
+        clock.advance(100);
+
+        testing.assertFailed(second, parsec.ParsecRateLimitError);
+        clock.runAll();
+        testing.assertSucceeded(first);
+        assert.equal(fake.calls.length, 1);
+    });
+
+    it("never starts a call which is cancelled while waiting", () => {
+        const fake = testing.createFakeRequestor();
+        const limited = parsec.rateLimit(fake, { 
+            tokensPerInterval: 1, 
+            interval: 1000 
+        });
+        const receiver = testing.createRecordingReceiver();
+
+        limited(testing.createRecordingReceiver());
+        const cancel = limited(receiver);
+        cancel();
+        clock.runAll();
+
+        assert.equal(fake.calls.length, 1);
+        assert.equal(receiver.results.length, 0);
+    });
+});
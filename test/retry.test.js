@@ -0,0 +1,147 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import parsec from "../src/parsec/index.js";
+import testing from "../src/parsec/testing/index.js";
+
+const { FakeBehavior } = testing;
+
+describe("retry", () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = parsec.createVirtualClock();
+        parsec.configure({ scheduler: clock });
+    });
+
+    afterEach(() => {
+        parsec.configure({ scheduler: parsec.systemScheduler });
+    });
+
+    function createFlaky(failures, value = "cheese") {
+        return testing.createFakeRequestor([
+            ...new Array(failures).fill({ 
+                behavior: FakeBehavior.FAIL, 
+                reason: "busy" 
+            }),
+            { value }
+        ]);
+    }
+
+    function getStartTimes(fake) {
+        return fake.calls.map(call => call.startTime);
+    }
+
+    it("waits the same delay between attempts with a fixed backoff", () => {
+        const flaky = createFlaky(2);
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.retry(flaky, { delay: 100 })(receiver);
+        clock.runAll();
+
+        testing.assertSucceeded(receiver, "cheese");
+        assert.deepEqual(getStartTimes(flaky), [0, 100, 200]);
+    });
+
+    it("doubles the delay after each attempt with an exponential backoff", 
+    () => {
+        const flaky = createFlaky(3);
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.retry(flaky, {
+            maxAttempts: 4,
+            backoff: parsec.Backoff.EXPONENTIAL,
+            delay: 100
+        })(receiver);
+        clock.runAll();
+
+        testing.assertSucceeded(receiver, "cheese");
+        assert.deepEqual(getStartTimes(flaky), [0, 100, 300, 700]);
+    });
+
+    it("never waits longer than maxDelay", () => {
+        const flaky = createFlaky(3);
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.retry(flaky, {
+            maxAttempts: 4,
+            backoff: parsec.Backoff.EXPONENTIAL,
+            delay: 100,
+            maxDelay: 150
+        })(receiver);
+        clock.runAll();
+
+        assert.deepEqual(getStartTimes(flaky), [0, 100, 250, 400]);
+    });
+
+    it("fails with the last reason once every attempt has failed", () => {
+        const flaky = createFlaky(3);
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.retry(flaky, { maxAttempts: 3, delay: 10 })(receiver);
+        clock.runAll();
+
+        testing.assertFailed(receiver, "busy");
+        assert.equal(flaky.calls.length, 3);
+    });
+
+    it("stops when shouldRetry returns false", () => {
+        const flaky = createFlaky(2);
+        const receiver = testing.createRecordingReceiver();
+        const attempts = [];
+
+        parsec.retry(flaky, {
+            shouldRetry(reason, attempt) {
+                attempts.push(attempt);
+                return false;
+            }
+        })(receiver);
+        clock.runAll();
+
+        testing.assertFailed(receiver, "busy");
+        assert.deepEqual(attempts, [1]);
+        assert.equal(flaky.calls.length, 1);
+    });
+
+    it("applies the time limit to every attempt and wait together", () => {
+        const flaky = createFlaky(5);
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.retry(flaky, { 
+            maxAttempts: 10, 
+            delay: 100, 
+            timeLimit: 250 
+        })(receiver);
+        clock.runAll();
+
+        testing.assertFailed(receiver, parsec.ParsecTimeoutError);
+        assert.deepEqual(getStartTimes(flaky), [0, 100, 200]);
+    });
+
+    it("cancels the attempt in progress with a ParsecCancelError", () => {
+        const stuck = testing.createFakeRequestor({ 
+            behavior: FakeBehavior.HANG 
+        });
+        const receiver = testing.createRecordingReceiver();
+
+        const cancel = parsec.retry(stuck)(receiver);
+        clock.runAll();
+        cancel();
+
+        testing.assertCancelled(stuck, parsec.ParsecCancelError);
+        assert.equal(stuck.calls[0].cancelReason.factoryName, "retry");
+        assert.equal(receiver.results.length, 0);
+    });
+
+    it("does not start another attempt once cancelled while waiting", () => {
+        const flaky = createFlaky(1);
+        const receiver = testing.createRecordingReceiver();
+
+        const cancel = parsec.retry(flaky, { delay: 100 })(receiver);
+        clock.advance(50);
+        cancel();
+        clock.runAll();
+
+        assert.equal(flaky.calls.length, 1);
+        assert.equal(receiver.results.length, 0);
+    });
+});
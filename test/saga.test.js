@@ -0,0 +1,116 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import parsec from "../src/parsec/index.js";
+import testing from "../src/parsec/testing/index.js";
+
+const { FakeBehavior } = testing;
+
+describe("saga", () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = parsec.createVirtualClock();
+        parsec.configure({ scheduler: clock });
+    });
+
+    afterEach(() => {
+        parsec.configure({ scheduler: parsec.systemScheduler });
+    });
+
+    function createSteps(failingAction) {
+        return ["reserve", "charge", "deliver"].map(name => ({
+            action: name === failingAction
+                ? testing.createFakeRequestor({ 
+                    behavior: FakeBehavior.FAIL, 
+                    reason: `${name} failed` 
+                })
+                : testing.createFakeRequestor({ value: name, delay: 10 }),
+            compensate: testing.createFakeRequestor({ delay: 10 })
+        }));
+    }
+
+    it("succeeds with the last value without compensating", () => {
+        const steps = createSteps();
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.saga(steps)(receiver, "order");
+        clock.runAll();
+
+        testing.assertSucceeded(receiver, "deliver");
+        assert.deepEqual(
+            steps.map(({ action }) => action.calls[0].message), 
+            ["order", "reserve", "charge"]
+        );
+        steps.forEach(({ compensate }) => testing.assertNotStarted(compensate));
+    });
+
+    it("undoes the completed steps in reverse order when one fails", () => {
+        const [reserve, charge, deliver] = createSteps("deliver");
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.saga([reserve, charge, deliver])(receiver, "order");
+        clock.runAll();
+
+        testing.assertFailed(receiver, parsec.ParsecAggregateError);
+        const { reason } = receiver.results[0];
+        assert.equal(reason.cause, "deliver failed");
+        assert.deepEqual(reason.errors, ["deliver failed"]);
+
+        testing.assertStartOrder([charge.compensate, reserve.compensate]);
+        assert.equal(charge.compensate.calls[0].message, "charge");
+        assert.equal(reserve.compensate.calls[0].message, "reserve");
+        testing.assertNotStarted(deliver.compensate);
+    });
+
+    it("keeps compensating when a compensation fails", () => {
+        const [reserve, charge, deliver] = createSteps("deliver");
+        charge.compensate = testing.createFakeRequestor({ 
+            behavior: FakeBehavior.FAIL, 
+            reason: "refund failed" 
+        });
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.saga([reserve, charge, deliver])(receiver);
+        clock.runAll();
+
+        const { reason } = receiver.results[0];
+        assert.deepEqual(reason.errors, ["deliver failed", "refund failed"]);
+        assert.deepEqual(reason.evidence, [2, 1]);
+        assert.equal(reserve.compensate.calls.length, 1);
+    });
+
+    it("compensates when the time limit is reached", () => {
+        const steps = createSteps();
+        steps[1].action = testing.createFakeRequestor({ 
+            behavior: FakeBehavior.HANG 
+        });
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.saga(steps, { timeLimit: 50 })(receiver);
+        clock.runAll();
+
+        testing.assertFailed(receiver, parsec.ParsecAggregateError);
+        assert.ok(
+            receiver.results[0].reason.cause instanceof 
+            parsec.ParsecTimeoutError
+        );
+        testing.assertCancelled(steps[1].action);
+        assert.equal(steps[0].compensate.calls.length, 1);
+    });
+
+    it("compensates once when cancelled while compensating", () => {
+        const [reserve, charge, deliver] = createSteps("deliver");
+        const receiver = testing.createRecordingReceiver();
+
+        const cancel = parsec.saga([reserve, charge, deliver])(receiver);
+        clock.advance(25);
+        assert.equal(charge.compensate.calls.length, 1);
+
+        cancel();
+        clock.runAll();
+
+        assert.equal(charge.compensate.calls.length, 1);
+        assert.equal(reserve.compensate.calls.length, 1);
+        assert.equal(receiver.results.length, 0);
+    });
+});
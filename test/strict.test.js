@@ -0,0 +1,132 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import parsec from "../src/parsec/index.js";
+import testing from "../src/parsec/testing/index.js";
+
+const { FakeBehavior } = testing;
+
+describe("strict mode", () => {
+    let clock;
+    let violations;
+
+    beforeEach(() => {
+        clock = parsec.createVirtualClock();
+        violations = [];
+        parsec.configure({ 
+            scheduler: clock, 
+            strict: true, 
+            onViolation: violation => violations.push(violation)
+        });
+    });
+
+    afterEach(() => {
+        parsec.configure({ 
+            scheduler: parsec.systemScheduler, 
+            strict: false, 
+            onViolation: undefined 
+        });
+    });
+
+    it("reports a requestor which calls its receiver twice", () => {
+        const twice = testing.createFakeRequestor({ 
+            behavior: FakeBehavior.CALL_TWICE, 
+            value: "cheese" 
+        });
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.parallel([testing.createFakeRequestor(), twice])(receiver);
+        clock.runAll();
+
+        testing.assertCalledOnce(receiver);
+        assert.equal(violations.length, 1);
+
+        const [violation] = violations;
+        assert.ok(violation instanceof parsec.ParsecContractError);
+        assert.equal(violation.factoryName, "parallel");
+        assert.equal(violation.requestorIndex, 1);
+        assert.equal(violation.requestorName, "fakeRequestor");
+        assert.match(violation.message, /more than once/);
+        assert.match(violation.site, /strict\.test\.js/);
+    });
+
+    it("reports a requestor which throws after calling its receiver", () => {
+        function careless(receiver) {
+            receiver({ value: "cheese" });
+            throw new Error("oops");
+        }
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.sequence([careless])(receiver);
+        clock.runAll();
+
+        testing.assertSucceeded(receiver, "cheese");
+        assert.equal(violations.length, 1);
+        assert.equal(violations[0].requestorName, "careless");
+        assert.match(violations[0].message, /threw after calling/);
+    });
+
+    it("reports a receiver called with something other than a result", 
+    () => {
+        function confused(receiver) {
+            receiver("cheese");
+        }
+        const receiver = testing.createRecordingReceiver();
+
+        parsec.race([confused])(receiver);
+        clock.runAll();
+
+        assert.equal(violations.length, 1);
+        testing.assertFailed(receiver, parsec.ParsecAggregateError);
+    });
+
+    it("reports a cancellor which is not a function", () => {
+        function badCancellor(receiver) {
+            receiver({ value: "cheese" });
+            return "cancel me";
+        }
+
+        parsec.parallel([badCancellor])(testing.createRecordingReceiver());
+        clock.runAll();
+
+        assert.equal(violations.length, 1);
+        assert.match(violations[0].message, /cancellor/);
+    });
+
+    it("checks requestors wrapped by other factories", () => {
+        const twice = testing.createFakeRequestor({ 
+            behavior: FakeBehavior.CALL_TWICE 
+        });
+        const wrappers = [
+            requestor => parsec.timeout(requestor, 100),
+            requestor => parsec.retry(requestor),
+            requestor => parsec.circuitBreaker(requestor),
+            requestor => parsec.rateLimit(requestor, { tokensPerInterval: 1 }),
+            requestor => parsec.cache(requestor)
+        ];
+
+        wrappers.forEach(wrap => 
+            wrap(twice)(testing.createRecordingReceiver())
+        );
+        clock.runAll();
+
+        assert.deepEqual(
+            violations.map(violation => violation.factoryName), 
+            ["timeout", "retry", "circuitBreaker", "rateLimit", "cache"]
+        );
+        violations.forEach(violation => 
+            assert.equal(violation.requestorIndex, undefined)
+        );
+    });
+
+    it("reports nothing when strict mode is off", () => {
+        parsec.configure({ strict: false });
+        const twice = testing.createFakeRequestor({ 
+            behavior: FakeBehavior.CALL_TWICE 
+        });
+
+        parsec.parallel([twice])(testing.createRecordingReceiver());
+        clock.runAll();
+
+        assert.equal(violations.length, 0);
+    });
+});